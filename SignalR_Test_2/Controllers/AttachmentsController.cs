@@ -0,0 +1,69 @@
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.StaticFiles;
+using Microsoft.Extensions.Options;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize]
+    public class AttachmentsController : ControllerBase
+    {
+        private static readonly FileExtensionContentTypeProvider ContentTypes = new();
+
+        private readonly IAttachmentStore _attachmentStore;
+        private readonly AttachmentOptions _options;
+
+        public AttachmentsController(IAttachmentStore attachmentStore, IOptions<AttachmentOptions> options)
+        {
+            _attachmentStore = attachmentStore;
+            _options = options.Value;
+        }
+
+        // Upload a single file. The content type is derived from the (allowed) extension rather than trusted from the client.
+        // The uploader is recorded, so only they can send the file with a message.
+        [HttpPost]
+        public async Task<IActionResult> Upload(IFormFile file)
+        {
+            if (file == null || file.Length == 0)
+                return BadRequest(new { Error = "No file uploaded" });
+
+            if (file.Length > _options.MaxFileSizeBytes)
+                return BadRequest(new { Error = $"File is larger than {_options.MaxFileSizeBytes / (1024 * 1024)} MB" });
+
+            var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
+            if (!_options.AllowedExtensions.Contains(extension, StringComparer.OrdinalIgnoreCase))
+                return BadRequest(new { Error = $"Files of type '{extension}' are not allowed" });
+
+            if (!ContentTypes.TryGetContentType(file.FileName, out var contentType))
+                contentType = "text/plain";
+
+            await using var stream = file.OpenReadStream();
+            var attachment = await _attachmentStore.SaveAsync(
+                stream, file.FileName, contentType, file.Length, User.Identity!.Name!);
+
+            return Ok(attachment);
+        }
+
+        // Download a file. Images are served inline for thumbnails; everything else is sent as a download.
+        // Anonymous because <img> and <a> requests can't carry the bearer token; the unguessable ID is the capability.
+        [HttpGet("{attachmentId}")]
+        [AllowAnonymous]
+        public IActionResult Download(string attachmentId)
+        {
+            var attachment = _attachmentStore.Get(attachmentId);
+            if (attachment == null)
+                return NotFound();
+
+            Response.Headers["X-Content-Type-Options"] = "nosniff";
+
+            var path = _attachmentStore.GetFilePath(attachment);
+            return attachment.IsImage
+                ? PhysicalFile(path, attachment.ContentType)
+                : PhysicalFile(path, attachment.ContentType, attachment.FileName);
+        }
+    }
+}
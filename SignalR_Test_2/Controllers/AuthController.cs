@@ -0,0 +1,70 @@
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using SignalR_Test_2.Dtos;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Services;
+using System.Text.RegularExpressions;
+
+namespace SignalR_Test_2.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    [AllowAnonymous]
+    public class AuthController : ControllerBase
+    {
+        private const int MinPasswordLength = 6;
+
+        private static readonly Regex UsernamePattern = new("^[A-Za-z0-9_.-]{2,32}$", RegexOptions.Compiled);
+
+        private readonly IUserStore _userStore;
+        private readonly TokenService _tokenService;
+        private readonly ILogger<AuthController> _logger;
+
+        public AuthController(IUserStore userStore, TokenService tokenService, ILogger<AuthController> logger)
+        {
+            _userStore = userStore;
+            _tokenService = tokenService;
+            _logger = logger;
+        }
+
+        // Create an account and sign straight in. Usernames can't start with "@" or contain spaces so they never clash with DM conversation keys.
+        [HttpPost("register")]
+        public IActionResult Register([FromBody] AuthRequest request)
+        {
+            var username = request.Username?.Trim() ?? string.Empty;
+
+            if (!UsernamePattern.IsMatch(username))
+                return BadRequest(new { Error = "Usernames are 2-32 letters, digits, '.', '_' or '-'" });
+
+            if (username.Equals("System", StringComparison.OrdinalIgnoreCase))
+                return BadRequest(new { Error = "That username is reserved" });
+
+            if (string.IsNullOrEmpty(request.Password) || request.Password.Length < MinPasswordLength)
+                return BadRequest(new { Error = $"Passwords must be at least {MinPasswordLength} characters" });
+
+            var user = _userStore.Register(username, request.Password);
+            if (user == null)
+                return Conflict(new { Error = "That username is already taken" });
+
+            _logger.LogInformation("Registered user {Username}", user.Username);
+            return Ok(_tokenService.CreateToken(user));
+        }
+
+        // Exchange a username and password for a token.
+        [HttpPost("login")]
+        public IActionResult Login([FromBody] AuthRequest request)
+        {
+            var user = string.IsNullOrWhiteSpace(request.Username) || string.IsNullOrEmpty(request.Password)
+                ? null
+                : _userStore.ValidateCredentials(request.Username.Trim(), request.Password);
+
+            if (user == null)
+            {
+                _logger.LogWarning("Failed login for {Username}", request.Username);
+                return Unauthorized(new { Error = "Invalid username or password" });
+            }
+
+            return Ok(_tokenService.CreateToken(user));
+        }
+    }
+}
@@ -1,40 +1,120 @@
-﻿using Microsoft.AspNetCore.Mvc;
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Options;
+using SignalR_Test_2.Dtos;
 using SignalR_Test_2.Hubs;
 using SignalR_Test_2.Interface;
 using SignalR_Test_2.Models;
+using SignalR_Test_2.Services;
 
 namespace SignalR_Test_2.Controllers
 {
     [Route("api/[controller]")]
     [ApiController]
+    [Authorize]
     public class ChatController : ControllerBase
     {
 
-        private readonly IHubContext<ChatHub, IChatClient> _hubContext;
+        private const int DefaultPageSize = 50;
+        private const int MaxPageSize = 200;
 
-        private static readonly List<ChatMessage> Messages = new();
+        private readonly IHubContext<ChatHub, IChatClient> _hubContext;
+        private readonly IMessageStore _messageStore;
+        private readonly IAttachmentStore _attachmentStore;
+        private readonly AttachmentOptions _attachmentOptions;
+        private readonly HubRateLimiter _rateLimiter;
 
-        public ChatController(IHubContext<ChatHub, IChatClient> hubContext)
+        public ChatController(
+            IHubContext<ChatHub, IChatClient> hubContext,
+            IMessageStore messageStore,
+            IAttachmentStore attachmentStore,
+            IOptions<AttachmentOptions> attachmentOptions,
+            HubRateLimiter rateLimiter)
         {
             _hubContext = hubContext;
+            _messageStore = messageStore;
+            _attachmentStore = attachmentStore;
+            _attachmentOptions = attachmentOptions.Value;
+            _rateLimiter = rateLimiter;
         }
 
         // ✅ Test: Send message to all users
+        // Only the text and room come from the body; attachments are claimed by ID like in the hub's SendToRoom, so
+        // only the caller's own uploads that aren't on a message yet can be sent.
+        // The same room membership check, rate limits and duplicate detection apply. The API counts as one connection
+        // of the user for the per-connection limit.
         [HttpPost("send")]
-        public async Task<IActionResult> SendMessage([FromBody] ChatMessage message)
+        public async Task<IActionResult> SendMessage([FromBody] SendMessageRequest request)
         {
-            Messages.Add(message);
-            string messageId = System.Guid.NewGuid().ToString(); // Generate an ID
-            await _hubContext.Clients.All.ReceiveMessage(message.FromUser, message.Message, messageId);
+            var attachmentIds = (request.AttachmentIds ?? new List<string>())
+                .Distinct()
+                .Take(_attachmentOptions.MaxAttachmentsPerMessage)
+                .ToList();
+
+            if (string.IsNullOrWhiteSpace(request.Message) && attachmentIds.Count == 0)
+                return BadRequest(new { Error = "Message is empty" });
+
+            var fromUser = User.Identity!.Name!; // Never trust the sender from the body
+            var room = string.IsNullOrWhiteSpace(request.Room) ? ChatHub.DefaultRoom : request.Room.ToLowerInvariant();
+            var text = request.Message ?? string.Empty;
+            var messageId = Guid.NewGuid().ToString();
+
+            if (!ChatHub.IsRoomMember(room, fromUser))
+                return StatusCode(StatusCodes.Status403Forbidden, new { Error = "Join the room to send messages to it" });
+
+            var retryAfter = _rateLimiter.TryAcquire(RateLimitAction.Message, $"api:{fromUser.ToLowerInvariant()}", fromUser);
+            if (retryAfter != null)
+            {
+                Response.Headers.RetryAfter = Math.Ceiling(retryAfter.Value.TotalSeconds).ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests, new { Error = "Sending too fast, slow down" });
+            }
+
+            if (!string.IsNullOrWhiteSpace(text) && _rateLimiter.IsDuplicate(fromUser, room, text, messageId))
+                return Conflict(new { Error = "You already sent that message" });
+
+            var attachments = _attachmentStore.Claim(attachmentIds, fromUser, messageId).ToList();
+            if (string.IsNullOrWhiteSpace(text) && attachments.Count == 0)
+                return BadRequest(new { Error = "None of the attachments can be sent" });
+
+            var message = new ChatMessage
+            {
+                FromUser = fromUser,
+                Message = text,
+                MessageId = messageId,
+                Room = room,
+                Attachments = attachments
+            };
+            _messageStore.TryAdd(message);
+            message = _messageStore.Get(messageId) ?? message; // The stored one can change while it's serialized
+            await _hubContext.Clients.Group(ChatHub.RoomGroupName(room))
+                .ReceiveMessage(message.FromUser, message.Message, message.MessageId!, room, null, message.Attachments);
             return Ok(new { Status = "Message sent", message });
         }
 
-        // ✅ Test: Get all sent messages
+        // ✅ Test: Get all sent messages, from the rooms the caller has joined
         [HttpGet("all")]
         public IActionResult GetAllMessages()
         {
-            return Ok(Messages);
+            var username = User.Identity!.Name!;
+            return Ok(_messageStore.GetAll().Where(m => ChatHub.IsRoomMember(m.Room ?? ChatHub.DefaultRoom, username)));
+        }
+
+        // Cursor-based page of a room's persisted history, oldest first.
+        // Without `before` this is the latest page (used on connect and reconnect); with it, the page of older
+        // messages sent before that message ID (used when scrolling back). A page shorter than `limit` is the last one.
+        // Only members of the room may read it.
+        [HttpGet("messages")]
+        public IActionResult GetMessages(
+            [FromQuery] string? before,
+            [FromQuery] string room = ChatHub.DefaultRoom,
+            [FromQuery] int limit = DefaultPageSize)
+        {
+            if (!ChatHub.IsRoomMember(room, User.Identity!.Name!))
+                return StatusCode(StatusCodes.Status403Forbidden, new { Error = "Join the room to read its messages" });
+
+            limit = Math.Clamp(limit, 1, MaxPageSize);
+            return Ok(_messageStore.GetPage(room, before, limit));
         }
 
         // ✅ Test: Get connected users
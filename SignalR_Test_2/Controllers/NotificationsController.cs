@@ -0,0 +1,64 @@
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize]
+    public class NotificationsController : ControllerBase
+    {
+        private const int MaxMutedEntries = 200;
+
+        private readonly INotificationPreferencesStore _preferencesStore;
+        private readonly IPushNotificationSender _pushSender;
+
+        public NotificationsController(INotificationPreferencesStore preferencesStore, IPushNotificationSender pushSender)
+        {
+            _preferencesStore = preferencesStore;
+            _pushSender = pushSender;
+        }
+
+        // The VAPID public key the browser subscribes to Web Push with. Subscriptions are then registered through the hub.
+        [HttpGet("vapid-public-key")]
+        public IActionResult GetVapidPublicKey()
+        {
+            return Ok(new { PublicKey = _pushSender.PublicKey });
+        }
+
+        // The calling user's notification preferences (the defaults until they save some).
+        [HttpGet("preferences")]
+        public IActionResult GetPreferences()
+        {
+            return Ok(_preferencesStore.Get(User.Identity!.Name!));
+        }
+
+        // Replaces the calling user's notification preferences. Muted room and user lists are trimmed and de-duplicated.
+        [HttpPut("preferences")]
+        public IActionResult SavePreferences([FromBody] NotificationPreferences preferences)
+        {
+            if (preferences.QuietHoursStart is < 0 or >= NotificationPreferences.MinutesPerDay ||
+                preferences.QuietHoursEnd is < 0 or >= NotificationPreferences.MinutesPerDay)
+                return BadRequest(new { Error = "Quiet hours must be times of day" });
+
+            if (preferences.TimeZone != null && !TimeZoneInfo.TryFindSystemTimeZoneById(preferences.TimeZone, out _))
+                return BadRequest(new { Error = $"Unknown time zone '{preferences.TimeZone}'" });
+
+            preferences.MutedRooms = Normalize(preferences.MutedRooms, lowerCase: true);
+            preferences.MutedUsers = Normalize(preferences.MutedUsers, lowerCase: false);
+
+            _preferencesStore.Save(User.Identity!.Name!, preferences);
+            return Ok(preferences);
+        }
+
+        private static List<string> Normalize(List<string>? names, bool lowerCase) =>
+            (names ?? new List<string>())
+                .Where(n => !string.IsNullOrWhiteSpace(n))
+                .Select(n => lowerCase ? n.Trim().ToLowerInvariant() : n.Trim())
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .Take(MaxMutedEntries)
+                .ToList();
+    }
+}
@@ -0,0 +1,72 @@
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using SignalR_Test_2.Hubs;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize]
+    public class SearchController : ControllerBase
+    {
+        private const int DefaultLimit = 20;
+        private const int MaxLimit = 100;
+        private const int DefaultContextSize = 2;
+        private const int MaxContextSize = 5;
+        private const int MaxTextLength = 200;
+
+        private readonly IMessageStore _messageStore;
+
+        public SearchController(IMessageStore messageStore)
+        {
+            _messageStore = messageStore;
+        }
+
+        // Searches a room's persisted history, newest match first. At least one filter is required: `q` (words that
+        // must all appear in the text), `from` (sender) or a `since`/`until` date range. Each match comes with
+        // `context` messages before and after it. Only members of the room may search it.
+        [HttpGet]
+        public IActionResult Search(
+            [FromQuery] string? q,
+            [FromQuery] string? from,
+            [FromQuery] DateTime? since,
+            [FromQuery] DateTime? until,
+            [FromQuery] string room = ChatHub.DefaultRoom,
+            [FromQuery] int limit = DefaultLimit,
+            [FromQuery] int context = DefaultContextSize)
+        {
+            if (!ChatHub.IsRoomMember(room, User.Identity!.Name!))
+                return StatusCode(StatusCodes.Status403Forbidden, new { Error = "Join the room to search its messages" });
+
+            q = q?.Trim();
+            from = from?.Trim();
+
+            if (string.IsNullOrEmpty(q) && string.IsNullOrEmpty(from) && since == null && until == null)
+                return BadRequest(new { Error = "Enter search text, a sender or a date range" });
+
+            if (q?.Length > MaxTextLength)
+                return BadRequest(new { Error = $"Search text is limited to {MaxTextLength} characters" });
+
+            if (since > until)
+                return BadRequest(new { Error = "The start date must be before the end date" });
+
+            var query = new MessageSearchQuery
+            {
+                Room = room,
+                Text = q,
+                FromUser = from,
+                Since = since?.ToUniversalTime(),
+                Until = until?.ToUniversalTime()
+            };
+
+            var results = _messageStore.Search(
+                query,
+                Math.Clamp(context, 0, MaxContextSize),
+                Math.Clamp(limit, 1, MaxLimit));
+
+            return Ok(results);
+        }
+    }
+}
@@ -0,0 +1,8 @@
+﻿namespace SignalR_Test_2.Dtos
+{
+    public class AuthRequest
+    {
+        public string? Username { get; set; }
+        public string? Password { get; set; }
+    }
+}
@@ -0,0 +1,9 @@
+﻿namespace SignalR_Test_2.Dtos
+{
+    public class AuthResponse
+    {
+        public string Username { get; set; } = string.Empty;
+        public string Token { get; set; } = string.Empty;
+        public DateTime ExpiresAt { get; set; }
+    }
+}
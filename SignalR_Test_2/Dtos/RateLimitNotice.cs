@@ -0,0 +1,16 @@
+﻿namespace SignalR_Test_2.Dtos
+{
+    /// Tells a client that one of its calls was refused. Reason is "rate" when a token bucket was empty, with
+    /// RetryAfterMs until the next call is allowed, or "duplicate" when the message repeats one just sent.
+    /// MessageId is the refused message, for message sends.
+    public class RateLimitNotice
+    {
+        public const string TooFast = "rate";
+        public const string Duplicate = "duplicate";
+
+        public string Action { get; set; } = string.Empty;
+        public string Reason { get; set; } = string.Empty;
+        public int RetryAfterMs { get; set; }
+        public string? MessageId { get; set; }
+    }
+}
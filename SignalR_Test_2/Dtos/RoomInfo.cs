@@ -0,0 +1,9 @@
+﻿namespace SignalR_Test_2.Dtos
+{
+    public class RoomInfo
+    {
+        public string? Name { get; set; }
+        public string? CreatedBy { get; set; }
+        public List<string> Members { get; set; } = new();
+    }
+}
@@ -0,0 +1,10 @@
+﻿namespace SignalR_Test_2.Dtos
+{
+    /// Body of POST api/chat/send. Attachments are referenced by the IDs the attachments endpoint returned.
+    public class SendMessageRequest
+    {
+        public string? Message { get; set; }
+        public string? Room { get; set; }
+        public List<string>? AttachmentIds { get; set; }
+    }
+}
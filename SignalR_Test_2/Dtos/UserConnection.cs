@@ -1,4 +1,6 @@
-﻿namespace SignalR_Test_2.Dtos
+﻿using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Dtos
 {
     public class UserConnection
     {
@@ -7,6 +9,8 @@
         public DateTime ConnectedAt { get; set; }
         public string? DeviceType { get; set; }
         public string? SessionId { get; set; }
+        public string Presence { get; set; } = PresenceStatus.Online;
+        public DateTime PresenceChangedAt { get; set; }
 
 
     }
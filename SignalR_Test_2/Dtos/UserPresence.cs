@@ -0,0 +1,9 @@
+﻿namespace SignalR_Test_2.Dtos
+{
+    public class UserPresence
+    {
+        public string Username { get; set; } = string.Empty;
+        public string Status { get; set; } = string.Empty;
+        public DateTime? LastSeen { get; set; }
+    }
+}
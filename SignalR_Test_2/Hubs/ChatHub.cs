@@ -1,35 +1,88 @@
-﻿using Microsoft.AspNetCore.SignalR;
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Options;
 using SignalR_Test_2.Dtos;
 using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+using SignalR_Test_2.Services;
 using System.Collections.Concurrent;
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.RegularExpressions;
 
 namespace SignalR_Test_2.Hubs
 {
+    [Authorize]
     public class ChatHub : Hub<IChatClient>
     {
+        public const string DefaultRoom = "general";
+
+        private static readonly Regex RoomNamePattern = new("^[a-z0-9_-]{1,32}$", RegexOptions.Compiled);
+        private static readonly Regex MentionPattern = new(@"(?<![\w@])@([A-Za-z0-9_.-]{2,32})", RegexOptions.Compiled);
+
+        private static readonly ConcurrentDictionary<string, ChatRoom> Rooms = new(StringComparer.OrdinalIgnoreCase)
+        {
+            [DefaultRoom] = new ChatRoom { Name = DefaultRoom, CreatedBy = "System", CreatedAt = DateTime.UtcNow }
+        };
+
         private static readonly ConcurrentDictionary<string, UserConnection> ConnectedUsers = new();
         private static readonly ConcurrentDictionary<string, string> SessionToUsername = new();
         private static readonly ConcurrentDictionary<string, DateTime> DisconnectingUsers = new();
         private static readonly ConcurrentDictionary<string, bool> ExplicitLogouts = new();
+        private static readonly ConcurrentDictionary<string, DateTime> RecentPrivateMessageIds = new();
+        private static readonly ConcurrentDictionary<string, DateTime> LastSeen = new(StringComparer.OrdinalIgnoreCase);
+        private static readonly ConcurrentDictionary<string, List<DevicePublicKey>> PublicKeys = new(StringComparer.OrdinalIgnoreCase);
+        private static readonly ConcurrentDictionary<string, List<ChatMessage>> PendingPrivateMessages = new(StringComparer.OrdinalIgnoreCase);
+        private static readonly TimeSpan PrivateMessageDedupWindow = TimeSpan.FromMinutes(10);
+        private const int MaxEmojiLength = 32;
+        private const int PushPreviewLength = 100;
+        // Prefix of end-to-end encrypted DM text (see the client's src/chat/e2e.js).
+        private const string EncryptedTextPrefix = "e2e.v1:";
+        private const int MaxPublicKeysPerUser = 10;
+        private const int MaxPendingPrivateMessagesPerUser = 500;
 
         private readonly ILogger<ChatHub> _logger;
-
-        public ChatHub(ILogger<ChatHub> logger) => _logger = logger;
+        private readonly IMessageStore _messageStore;
+        private readonly IUserStore _userStore;
+        private readonly IAttachmentStore _attachmentStore;
+        private readonly AttachmentOptions _attachmentOptions;
+        private readonly INotificationPreferencesStore _preferencesStore;
+        private readonly IPushSubscriptionStore _pushSubscriptionStore;
+        private readonly IPushNotificationSender _pushSender;
+        private readonly HubRateLimiter _rateLimiter;
+
+        public ChatHub(
+            ILogger<ChatHub> logger,
+            IMessageStore messageStore,
+            IUserStore userStore,
+            IAttachmentStore attachmentStore,
+            IOptions<AttachmentOptions> attachmentOptions,
+            INotificationPreferencesStore preferencesStore,
+            IPushSubscriptionStore pushSubscriptionStore,
+            IPushNotificationSender pushSender,
+            HubRateLimiter rateLimiter)
+        {
+            _logger = logger;
+            _messageStore = messageStore;
+            _userStore = userStore;
+            _attachmentStore = attachmentStore;
+            _attachmentOptions = attachmentOptions.Value;
+            _preferencesStore = preferencesStore;
+            _pushSubscriptionStore = pushSubscriptionStore;
+            _pushSender = pushSender;
+            _rateLimiter = rateLimiter;
+        }
 
         
-        /// Collects all unique usernames from connected users and broadcasts the updated list to all clients.
+        /// Collects the presence of every connected user, plus users seen since the server started who are now offline,
+        /// and broadcasts the updated list to all clients.
 
         private async Task SendUserListUpdate()
         {
             try
             {
-                var users = ConnectedUsers.Values
-                    .Select(u => u.Username)
-                    .Distinct()
-                    .OrderBy(u => u)
-                    .ToList();
-
-                await Clients.All.UpdateUserList(users);
+                await Clients.All.UpdateUserList(GetUserPresences());
             }
             catch (Exception ex)
             {
@@ -38,15 +91,182 @@ namespace SignalR_Test_2.Hubs
         }
 
         
-        /// Handles new client connections. Validates username and sessionId, manages session switching,
-        /// tracks reconnections, adds user to the connected users dictionary, and notifies other clients if it's a new user.
+        /// Broadcasts every room with its members to all clients, so each client can tell which rooms it has joined.
+
+        private async Task SendRoomListUpdate()
+        {
+            try
+            {
+                await Clients.All.UpdateRoomList(GetRoomInfos());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error sending room list update");
+            }
+        }
+
+        
+        /// Combines a user's connections into one presence: do-not-disturb on any connection wins, then online on any
+        /// connection, otherwise away since the most recent connection went away. Users without a connection are offline
+        /// with the time their last connection closed.
+
+        private static List<UserPresence> GetUserPresences()
+        {
+            var online = ConnectedUsers.Values
+                .GroupBy(u => u.Username!, StringComparer.OrdinalIgnoreCase)
+                .Select(g =>
+                {
+                    if (g.Any(c => c.Presence == PresenceStatus.DoNotDisturb))
+                        return new UserPresence { Username = g.Key, Status = PresenceStatus.DoNotDisturb };
+
+                    if (g.Any(c => c.Presence == PresenceStatus.Online))
+                        return new UserPresence { Username = g.Key, Status = PresenceStatus.Online };
+
+                    return new UserPresence
+                    {
+                        Username = g.Key,
+                        Status = PresenceStatus.Away,
+                        LastSeen = g.Max(c => c.PresenceChangedAt)
+                    };
+                })
+                .ToList();
+
+            var offline = LastSeen
+                .Where(kvp => !online.Any(u => u.Username.Equals(kvp.Key, StringComparison.OrdinalIgnoreCase)))
+                .Select(kvp => new UserPresence { Username = kvp.Key, Status = PresenceStatus.Offline, LastSeen = kvp.Value });
+
+            return online.Concat(offline).OrderBy(u => u.Username).ToList();
+        }
+
+        private static List<RoomInfo> GetRoomInfos() =>
+            Rooms.Values
+                .OrderBy(r => r.CreatedAt)
+                .Select(r => new RoomInfo { Name = r.Name, CreatedBy = r.CreatedBy, Members = r.GetMembers() })
+                .ToList();
+
+        
+        /// Returns the SignalR group name for a room. Prefixed so room groups never clash with the per-username groups.
+
+        public static string RoomGroupName(string room) => $"room:{room.ToLowerInvariant()}";
+
+        
+        /// Whether the user has joined the room. Also used by the API controllers, which serve room history only to
+        /// members.
+
+        public static bool IsRoomMember(string room, string username) =>
+            Rooms.TryGetValue(room, out var chatRoom) && chatRoom.HasMember(username);
+
+        
+        /// Returns the room members mentioned as @username in a message, spelled as they registered, without the sender.
+        /// A trailing '.' is read as punctuation rather than part of the name.
+
+        private static List<string> GetMentionedMembers(string message, string room, string fromUser)
+        {
+            if (!Rooms.TryGetValue(room, out var chatRoom)) return new List<string>();
+
+            var members = chatRoom.GetMembers();
+            return MentionPattern.Matches(message)
+                .Select(m => m.Groups[1].Value.TrimEnd('.'))
+                .Select(name => members.FirstOrDefault(member => member.Equals(name, StringComparison.OrdinalIgnoreCase)))
+                .OfType<string>()
+                .Where(member => !member.Equals(fromUser, StringComparison.OrdinalIgnoreCase))
+                .Distinct()
+                .ToList();
+        }
+
+        
+        /// Sends a Web Push notification for a room message to the members without any connection, as far as their
+        /// notification preferences allow. Not awaited, so slow push services don't hold up the sender.
+
+        private void PushToOfflineMembers(string room, string fromUser, string text, string messageId, List<string> mentioned)
+        {
+            if (!Rooms.TryGetValue(room, out var chatRoom)) return;
+
+            var now = DateTime.UtcNow;
+            foreach (var member in chatRoom.GetMembers())
+            {
+                if (member.Equals(fromUser, StringComparison.OrdinalIgnoreCase) || IsUserStillConnected(member))
+                    continue;
+
+                var isMention = mentioned.Contains(member, StringComparer.OrdinalIgnoreCase);
+                var preferences = _preferencesStore.Get(member);
+                if (!preferences.Allows(fromUser, room, isMention, now))
+                    continue;
+
+                _ = _pushSender.SendAsync(member, new PushNotification
+                {
+                    Title = isMention ? $"{fromUser} mentioned you in #{room}" : $"New message in #{room}",
+                    Body = preferences.ShowPreviews ? $"{fromUser}: {PushPreview(text)}" : $"New message from {fromUser}",
+                    FromUser = fromUser,
+                    MessageId = messageId,
+                    Room = room
+                });
+            }
+        }
+
+        
+        /// Sends a Web Push notification for a private message held for an offline recipient, as far as their
+        /// notification preferences allow. Encrypted messages are announced without their text. Not awaited.
+
+        private void PushPrivateMessage(string toUser, string fromUser, string message, string messageId)
+        {
+            var preferences = _preferencesStore.Get(toUser);
+            if (!preferences.Allows(fromUser, null, false, DateTime.UtcNow)) return;
+
+            var preview = message.StartsWith(EncryptedTextPrefix, StringComparison.Ordinal)
+                ? "🔒 Encrypted message"
+                : PushPreview(message);
+
+            _ = _pushSender.SendAsync(toUser, new PushNotification
+            {
+                Title = $"New message from {fromUser}",
+                Body = preferences.ShowPreviews ? preview : "New private message",
+                FromUser = fromUser,
+                MessageId = messageId
+            });
+        }
+
+        private static string PushPreview(string text)
+        {
+            var plain = MarkdownText.ToPlainText(text);
+            return plain.Length > PushPreviewLength ? $"{plain[..PushPreviewLength]}..." : plain;
+        }
+
+        private List<string> GetConnectionIds(string username) =>
+            ConnectedUsers
+                .Where(kvp => kvp.Value.Username!.Equals(username, StringComparison.OrdinalIgnoreCase))
+                .Select(kvp => kvp.Key)
+                .ToList();
+
+        
+        /// Resolves the clients taking part in a conversation: the room's group, or for a direct-message thread
+        /// (passed as "@username", in any casing) both participants. Returns null if the user isn't part of the
+        /// conversation or the partner isn't a registered user.
+
+        private IChatClient? GetConversationClients(string room, string username)
+        {
+            if (string.IsNullOrWhiteSpace(room)) return null;
+
+            if (room.StartsWith('@'))
+            {
+                var partner = _userStore.FindUsername(room[1..]);
+                return partner == null ? null : Clients.Groups(partner, username);
+            }
+
+            return IsRoomMember(room, username) ? Clients.Group(RoomGroupName(room)) : null;
+        }
+
+        
+        /// Handles new client connections. Takes the username from the authenticated token rather than the query string,
+        /// validates sessionId, manages session switching, tracks reconnections, adds user to the connected users dictionary,
+        /// and notifies other clients if it's a new user.
 
         public override async Task OnConnectedAsync()
         {
             try
             {
                 var httpContext = Context.GetHttpContext();
-                var username = httpContext?.Request.Query["username"].ToString();
+                var username = Context.User?.Identity?.Name;
                 var deviceType = httpContext?.Request.Query["deviceType"].ToString();
                 var sessionId = httpContext?.Request.Query["sessionId"].ToString();
 
@@ -69,7 +289,8 @@ namespace SignalR_Test_2.Hubs
                     ConnectionId = Context.ConnectionId,
                     ConnectedAt = DateTime.UtcNow,
                     DeviceType = deviceType,
-                    SessionId = sessionId
+                    SessionId = sessionId,
+                    PresenceChangedAt = DateTime.UtcNow
                 };
 
                 if (ConnectedUsers.TryAdd(Context.ConnectionId, userConnection))
@@ -79,6 +300,12 @@ namespace SignalR_Test_2.Hubs
 
                     await Groups.AddToGroupAsync(Context.ConnectionId, username);
 
+                    Rooms[DefaultRoom].AddMember(username);
+                    foreach (var room in Rooms.Values.Where(r => r.HasMember(username)))
+                    {
+                        await Groups.AddToGroupAsync(Context.ConnectionId, RoomGroupName(room.Name));
+                    }
+
                     if (isFirstConnection && !wasReconnecting)
                     {
                         await Clients.Others.NotifyNewUser(username);
@@ -89,6 +316,8 @@ namespace SignalR_Test_2.Hubs
                         username, Context.ConnectionId, sessionId, wasReconnecting, isFirstConnection);
 
                     await SendUserListUpdate();
+                    await SendRoomListUpdate();
+                    await DeliverPendingPrivateMessages(username);
                 }
 
                 await base.OnConnectedAsync();
@@ -127,13 +356,19 @@ namespace SignalR_Test_2.Hubs
                 if (ConnectedUsers.TryRemove(oldConnectionId, out _))
                 {
                     await Groups.RemoveFromGroupAsync(oldConnectionId, previousUsername);
+
+                    foreach (var room in Rooms.Values.Where(r => r.HasMember(previousUsername)))
+                    {
+                        await Groups.RemoveFromGroupAsync(oldConnectionId, RoomGroupName(room.Name));
+                    }
                 }
             }
 
             DisconnectingUsers.TryRemove(previousUsername, out _);
             ExplicitLogouts.TryRemove(previousUsername, out _);
+            LastSeen[previousUsername] = DateTime.UtcNow;
 
-            await Clients.All.ReceiveMessage("System", $"{previousUsername} left the chat", Guid.NewGuid().ToString());
+            await Clients.All.ReceiveMessage("System", $"{previousUsername} left the chat", Guid.NewGuid().ToString(), DefaultRoom, null, new List<Attachment>());
 
             _logger.LogInformation("Previous user {PreviousUsername} completely removed due to session switch", previousUsername);
 
@@ -149,6 +384,8 @@ namespace SignalR_Test_2.Hubs
         {
             try
             {
+                _rateLimiter.RemoveConnection(Context.ConnectionId);
+
                 if (!ConnectedUsers.TryRemove(Context.ConnectionId, out var userConnection))
                 {
                     if (exception != null)
@@ -174,6 +411,8 @@ namespace SignalR_Test_2.Hubs
                     return;
                 }
 
+                LastSeen[username] = DateTime.UtcNow;
+
                 if (ExplicitLogouts.TryRemove(username, out _))
                 {
                     await HandleExplicitLogout(username, sessionId);
@@ -211,7 +450,7 @@ namespace SignalR_Test_2.Hubs
             CleanupSession(sessionId, username);
             DisconnectingUsers.TryRemove(username, out _);
 
-            await Clients.All.ReceiveMessage("System", $"{username} left the chat", Guid.NewGuid().ToString());
+            await Clients.All.ReceiveMessage("System", $"{username} left the chat", Guid.NewGuid().ToString(), DefaultRoom, null, new List<Attachment>());
             await SendUserListUpdate();
         }
 
@@ -240,7 +479,7 @@ namespace SignalR_Test_2.Hubs
             DisconnectingUsers.TryRemove(username, out _);
             CleanupSession(sessionId, username);
 
-            await Clients.All.ReceiveMessage("System", $"{username} left the chat", Guid.NewGuid().ToString());
+            await Clients.All.ReceiveMessage("System", $"{username} left the chat", Guid.NewGuid().ToString(), DefaultRoom, null, new List<Attachment>());
 
             _logger.LogInformation(
                 "User permanently disconnected: {Username} (Last connection {ConnectionId}) after {Delay}ms grace period",
@@ -267,21 +506,24 @@ namespace SignalR_Test_2.Hubs
 
         
         /// Called by the client when they explicitly logout (not a page refresh or accidental disconnect).
-        /// Marks the user for immediate disconnection without a grace period.
+        /// Marks the calling user for immediate disconnection without a grace period.
 
-        public async Task ExplicitLogout(string username)
+        public Task Logout()
         {
             try
             {
-                if (!ValidateUser(username)) return;
+                var username = GetCallerUsername();
+                if (username == null) return Task.CompletedTask;
 
                 _logger.LogInformation("User {Username} initiated explicit logout", username);
                 ExplicitLogouts.TryAdd(username, true);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error in ExplicitLogout for {Username}", username);
+                _logger.LogError(ex, "Error in Logout for {ConnectionId}", Context.ConnectionId);
             }
+
+            return Task.CompletedTask;
         }
 
         
@@ -299,32 +541,105 @@ namespace SignalR_Test_2.Hubs
             };
 
         
-        /// Sends a chat message from one user to all other connected clients.
-        /// Validates that the sender is authorized and broadcasts both the message and a notification.
-
-        public async Task SendMessage(string fromUser, string message, string messageId)
+        /// Sends a chat message from the calling user to the other members of a room, optionally as a reply to another
+        /// message and with files previously uploaded through the attachments endpoint.
+        /// Stores the message in the room's history and broadcasts both the message and a notification. A resend of an
+        /// already stored messageId (e.g. from the client's offline outbox) is acknowledged without sending it again or
+        /// counting against the rate limit. Room members mentioned as @username also get ReceiveMention, and members
+        /// with no open connection get a Web Push notification.
+        /// A reply reference is only kept if it points at a stored message in the same room. Attachments must be the
+        /// caller's own uploads not yet sent with another message; others are dropped.
+        /// A message over the rate limit, or repeating the same text too often, is refused with RateLimited and a HubException.
+
+        public async Task SendToRoom(
+            string message,
+            string messageId,
+            string room,
+            string? replyToMessageId,
+            List<string>? attachmentIds)
         {
+            var fromUser = GetCallerUsername();
+            if (fromUser == null) return;
+
             try
             {
-                if (string.IsNullOrWhiteSpace(message) || string.IsNullOrWhiteSpace(messageId))
+                attachmentIds = (attachmentIds ?? new List<string>())
+                    .Distinct()
+                    .Take(_attachmentOptions.MaxAttachmentsPerMessage)
+                    .ToList();
+
+                message ??= string.Empty;
+
+                if ((string.IsNullOrWhiteSpace(message) && attachmentIds.Count == 0) ||
+                    string.IsNullOrWhiteSpace(messageId) || string.IsNullOrWhiteSpace(room))
                 {
                     _logger.LogWarning("Invalid message from {FromUser}", fromUser);
                     return;
                 }
 
-                if (!ConnectedUsers.TryGetValue(Context.ConnectionId, out var sender) ||
-                    !sender.Username.Equals(fromUser, StringComparison.OrdinalIgnoreCase))
+                room = room.ToLowerInvariant();
+
+                if (!IsRoomMember(room, fromUser))
                 {
-                    _logger.LogWarning("Unauthorized message attempt: {FromUser} - {ConnectionId}", fromUser, Context.ConnectionId);
+                    _logger.LogWarning("Message to room {Room} from non-member {FromUser}", room, fromUser);
                     return;
                 }
 
-                await Clients.Others.ReceiveMessage(fromUser, message, messageId);
-                await Clients.Others.ReceiveNotification(fromUser, message, messageId);
+                if (!string.IsNullOrWhiteSpace(replyToMessageId) &&
+                    _messageStore.Get(replyToMessageId)?.Room != room)
+                {
+                    _logger.LogWarning("Reply to unknown message {ReplyToMessageId} in {Room}", replyToMessageId, room);
+                    replyToMessageId = null;
+                }
+
+                if (_messageStore.Contains(messageId))
+                {
+                    _logger.LogDebug("Duplicate message ignored: {FromUser} - {MessageId}", fromUser, messageId);
+                    return;
+                }
 
-                _logger.LogDebug("Message sent: {FromUser} - {MessageId}", fromUser, messageId);
+                await EnsureMessageAllowed(fromUser, room, message, messageId);
+
+                var attachments = _attachmentStore.Claim(attachmentIds, fromUser, messageId).ToList();
+                if (string.IsNullOrWhiteSpace(message) && attachments.Count == 0)
+                {
+                    _logger.LogWarning("Message from {FromUser} has no text and no usable attachments", fromUser);
+                    return;
+                }
+
+                var stored = _messageStore.TryAdd(new ChatMessage
+                {
+                    FromUser = fromUser,
+                    Message = message,
+                    MessageId = messageId,
+                    Room = room,
+                    ReplyToMessageId = string.IsNullOrWhiteSpace(replyToMessageId) ? null : replyToMessageId,
+                    Attachments = attachments
+                });
+
+                if (!stored)
+                {
+                    _logger.LogDebug("Duplicate message ignored: {FromUser} - {MessageId}", fromUser, messageId);
+                    return;
+                }
+
+                var notificationText = string.IsNullOrWhiteSpace(message) ? $"📎 {attachments[0].FileName}" : message;
+                var mentionedMembers = GetMentionedMembers(message, room, fromUser);
+
+                var roomClients = Clients.OthersInGroup(RoomGroupName(room));
+                await roomClients.ReceiveMessage(fromUser, message, messageId, room, replyToMessageId, attachments);
+                await roomClients.ReceiveNotification(fromUser, notificationText, messageId, room);
+
+                foreach (var mentioned in mentionedMembers)
+                {
+                    await Clients.Group(mentioned).ReceiveMention(fromUser, message, messageId, room);
+                }
+
+                PushToOfflineMembers(room, fromUser, notificationText, messageId, mentionedMembers);
+
+                _logger.LogDebug("Message sent: {FromUser} - {MessageId} in {Room}", fromUser, messageId, room);
             }
-            catch (Exception ex)
+            catch (Exception ex) when (ex is not HubException)
             {
                 _logger.LogError(ex, "Error sending message from {FromUser}", fromUser);
                 throw;
@@ -332,74 +647,598 @@ namespace SignalR_Test_2.Hubs
         }
 
         
-        /// Notifies all other clients that a user is currently typing a message.
+        /// Sends a private message from the calling user to another user. Both sides receive it through their
+        /// username group, so every tab of the recipient and the sender's other tabs get the message.
+        /// Private messages aren't stored, so a resend of a recently seen messageId (e.g. from the client's offline
+        /// outbox after a dropped acknowledgement) is recognised within a short window and acknowledged without sending
+        /// it again or counting against the rate limit.
+        /// A message to a registered user with no open connection is held until they connect, and they get a Web Push
+        /// notification for it. Messages to oneself or to an unknown user are refused with a HubException, so the
+        /// sender's client shows them as failed.
+        /// Rate limits and duplicate detection apply as for room messages.
+
+        public async Task SendPrivateMessage(string toUser, string message, string messageId)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(toUser) || string.IsNullOrWhiteSpace(message) || string.IsNullOrWhiteSpace(messageId))
+                {
+                    _logger.LogWarning("Invalid private message from {ConnectionId}", Context.ConnectionId);
+                    return;
+                }
+
+                if (!ConnectedUsers.TryGetValue(Context.ConnectionId, out var sender))
+                {
+                    _logger.LogWarning("Invalid connection: {ConnectionId}", Context.ConnectionId);
+                    return;
+                }
+
+                var fromUser = sender.Username!;
+
+                // Username groups are case-sensitive, so address the recipient as they registered.
+                var recipient = _userStore.FindUsername(toUser);
+                if (recipient == null || fromUser.Equals(recipient, StringComparison.OrdinalIgnoreCase))
+                {
+                    _logger.LogWarning("Private message from {FromUser} to unavailable user {ToUser}", fromUser, toUser);
+                    throw new HubException("Private messages can only be sent to another registered user");
+                }
+                toUser = recipient;
+
+                if (IsRecentPrivateMessage(fromUser, messageId))
+                {
+                    _logger.LogDebug("Duplicate private message ignored: {FromUser} - {MessageId}", fromUser, messageId);
+                    return;
+                }
+
+                await EnsureMessageAllowed(fromUser, $"@{toUser}", message, messageId);
+
+                if (!TryRecordPrivateMessage(fromUser, messageId))
+                {
+                    _logger.LogDebug("Duplicate private message ignored: {FromUser} - {MessageId}", fromUser, messageId);
+                    return;
+                }
+
+                var sentAt = DateTime.UtcNow;
+                if (IsUserStillConnected(toUser))
+                {
+                    await Clients.Group(toUser).ReceivePrivateMessage(fromUser, toUser, message, messageId, sentAt);
+                    await Clients.Group(toUser).ReceiveNotification(fromUser, message, messageId, null);
+                }
+                else if (TryHoldPrivateMessage(fromUser, toUser, message, messageId, sentAt))
+                {
+                    PushPrivateMessage(toUser, fromUser, message, messageId);
+                }
+                else
+                {
+                    _logger.LogWarning("Too many held private messages for {ToUser}", toUser);
+                    throw new HubException($"{toUser} has too many unread messages waiting");
+                }
+
+                await Clients.GroupExcept(fromUser, Context.ConnectionId)
+                    .ReceivePrivateMessage(fromUser, toUser, message, messageId, sentAt);
+
+                _logger.LogDebug("Private message sent: {FromUser} -> {ToUser} - {MessageId}", fromUser, toUser, messageId);
+            }
+            catch (Exception ex) when (ex is not HubException)
+            {
+                _logger.LogError(ex, "Error sending private message to {ToUser}", toUser);
+                throw;
+            }
+        }
+
+        
+        /// Takes a rate-limit token for the calling connection and user. When either has run out, the caller is sent
+        /// RateLimited with the time until the next call is allowed and false is returned.
+
+        private async Task<bool> TryAcquireRateLimit(string action, string username, string? messageId = null)
+        {
+            var retryAfter = _rateLimiter.TryAcquire(action, Context.ConnectionId, username);
+            if (retryAfter == null) return true;
+
+            _logger.LogWarning("Rate limit hit: {Username} - {Action} on {ConnectionId}", username, action, Context.ConnectionId);
+            await Clients.Caller.RateLimited(new RateLimitNotice
+            {
+                Action = action,
+                Reason = RateLimitNotice.TooFast,
+                RetryAfterMs = (int)Math.Ceiling(retryAfter.Value.TotalMilliseconds),
+                MessageId = messageId
+            });
+            return false;
+        }
+
+        
+        /// Applies the message rate limit and then the repeat check to a new message, throwing a HubException that says
+        /// which one refused it. The caller has been told through RateLimited already.
+
+        private async Task EnsureMessageAllowed(string username, string conversation, string message, string messageId)
+        {
+            if (!await TryAcquireRateLimit(RateLimitAction.Message, username, messageId))
+                throw new HubException("Message refused by rate limit");
+
+            if (await IsDuplicateMessage(username, conversation, message, messageId))
+                throw new HubException("Message refused as a repeat of one just sent");
+        }
+
+        
+        /// Checks a message against the user's recent messages to the same room or DM thread, telling the caller
+        /// through RateLimited when it is refused as a repeat. Messages with only attachments are never repeats.
+
+        private async Task<bool> IsDuplicateMessage(string username, string conversation, string message, string messageId)
+        {
+            if (string.IsNullOrWhiteSpace(message) || !_rateLimiter.IsDuplicate(username, conversation, message, messageId))
+                return false;
+
+            _logger.LogWarning("Repeated message refused: {Username} - {MessageId} in {Conversation}", username, messageId, conversation);
+            await Clients.Caller.RateLimited(new RateLimitNotice
+            {
+                Action = RateLimitAction.Message,
+                Reason = RateLimitNotice.Duplicate,
+                MessageId = messageId
+            });
+            return true;
+        }
+
+        
+        /// Keeps a private message for a recipient who is offline, up to MaxPendingPrivateMessagesPerUser of them.
+        /// Held messages live in memory only, like the rest of the hub's state.
+
+        private static bool TryHoldPrivateMessage(
+            string fromUser,
+            string toUser,
+            string message,
+            string messageId,
+            DateTime sentAt)
+        {
+            var pending = PendingPrivateMessages.GetOrAdd(toUser, _ => new List<ChatMessage>());
+            lock (pending)
+            {
+                if (pending.Count >= MaxPendingPrivateMessagesPerUser) return false;
+
+                pending.Add(new ChatMessage
+                {
+                    FromUser = fromUser,
+                    Message = message,
+                    MessageId = messageId,
+                    Timestamp = sentAt
+                });
+                return true;
+            }
+        }
+
+        
+        /// Hands the private messages held while the user was offline to all of their connections, oldest first and
+        /// with the time they were sent.
+
+        private async Task DeliverPendingPrivateMessages(string username)
+        {
+            if (!PendingPrivateMessages.TryRemove(username, out var pending)) return;
+
+            List<ChatMessage> messages;
+            lock (pending)
+            {
+                messages = pending.ToList();
+            }
+
+            foreach (var held in messages)
+            {
+                await Clients.Group(username)
+                    .ReceivePrivateMessage(held.FromUser, username, held.Message, held.MessageId!, held.Timestamp);
+            }
+
+            _logger.LogInformation("Delivered {Count} held private messages to {Username}", messages.Count, username);
+        }
+
+        private static bool IsRecentPrivateMessage(string fromUser, string messageId) =>
+            RecentPrivateMessageIds.TryGetValue($"{fromUser.ToLowerInvariant()}:{messageId}", out var sentAt) &&
+            DateTime.UtcNow - sentAt <= PrivateMessageDedupWindow;
+
+        private static bool TryRecordPrivateMessage(string fromUser, string messageId)
+        {
+            var now = DateTime.UtcNow;
+            foreach (var expired in RecentPrivateMessageIds.Where(kvp => now - kvp.Value > PrivateMessageDedupWindow))
+            {
+                RecentPrivateMessageIds.TryRemove(expired.Key, out _);
+            }
+
+            return RecentPrivateMessageIds.TryAdd($"{fromUser.ToLowerInvariant()}:{messageId}", now);
+        }
+
+        
+        /// Edits the text of a stored room message. Only the original sender may edit it, checked with ValidateUser
+        /// against the stored sender. The room is told through MessageEdited so every client updates the bubble in place.
+
+        public async Task EditMessage(string messageId, string newText)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(messageId) || string.IsNullOrWhiteSpace(newText)) return;
+
+                var original = _messageStore.Get(messageId);
+                if (original == null)
+                {
+                    _logger.LogWarning("Edit of unknown message {MessageId} from {ConnectionId}", messageId, Context.ConnectionId);
+                    return;
+                }
+
+                if (!ValidateUser(original.FromUser) || original.Message == newText) return;
+
+                var edited = _messageStore.Edit(messageId, newText);
+                if (edited?.EditedAt == null) return;
+
+                await Clients.Group(RoomGroupName(edited.Room ?? DefaultRoom))
+                    .MessageEdited(messageId, newText, edited.EditedAt.Value);
+
+                _logger.LogDebug("Message edited: {FromUser} - {MessageId}", original.FromUser, messageId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in EditMessage for {MessageId}", messageId);
+            }
+        }
+
+        
+        /// Deletes a stored room message for everyone. Only the original sender may delete it, checked with ValidateUser
+        /// against the stored sender. The message is removed from the history and the room is told through MessageDeleted.
+        /// Its attachments are deleted too, since their download URLs need no sign-in.
 
-        public async Task Typing(string username)
+        public async Task DeleteMessage(string messageId)
         {
             try
             {
-                if (ValidateUser(username))
-                    await Clients.Others.UserTyping(username);
+                if (string.IsNullOrWhiteSpace(messageId)) return;
+
+                var original = _messageStore.Get(messageId);
+                if (original == null)
+                {
+                    _logger.LogWarning("Delete of unknown message {MessageId} from {ConnectionId}", messageId, Context.ConnectionId);
+                    return;
+                }
+
+                if (!ValidateUser(original.FromUser)) return;
+
+                var removed = _messageStore.Remove(messageId);
+                if (removed == null) return;
+
+                foreach (var attachment in removed.Attachments)
+                {
+                    _attachmentStore.Delete(attachment.AttachmentId, removed.MessageId!);
+                }
+
+                await Clients.Group(RoomGroupName(removed.Room ?? DefaultRoom)).MessageDeleted(messageId);
+
+                _logger.LogDebug("Message deleted: {FromUser} - {MessageId}", original.FromUser, messageId);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error in Typing for {Username}", username);
+                _logger.LogError(ex, "Error in DeleteMessage for {MessageId}", messageId);
             }
         }
 
         
-        /// Notifies all other clients that a user has stopped typing.
+        /// Notifies the other members of a room that the calling user is currently typing a message.
+        /// Calls over the rate limit are dropped.
 
-        public async Task StoppedTyping(string username)
+        public async Task StartTyping(string room)
         {
             try
             {
-                if (ValidateUser(username))
-                    await Clients.Others.UserStoppedTyping(username);
+                var username = GetCallerUsername();
+                if (username != null && IsRoomMember(room, username) &&
+                    await TryAcquireRateLimit(RateLimitAction.Typing, username))
+                    await Clients.OthersInGroup(RoomGroupName(room)).UserTyping(username, room.ToLowerInvariant());
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error in StoppedTyping for {Username}", username);
+                _logger.LogError(ex, "Error in StartTyping for {ConnectionId}", Context.ConnectionId);
             }
         }
 
         
-        /// Broadcasts a reaction (emoji) to a specific message to all connected clients.
+        /// Notifies the other members of a room that the calling user has stopped typing.
 
-        public async Task ReactToMessage(string messageId, string fromUser, string emoji)
+        public async Task StopTyping(string room)
         {
             try
             {
-                if (string.IsNullOrWhiteSpace(messageId) || emoji == null) return;
+                var username = GetCallerUsername();
+                if (username != null && IsRoomMember(room, username))
+                    await Clients.OthersInGroup(RoomGroupName(room)).UserStoppedTyping(username, room.ToLowerInvariant());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in StopTyping for {ConnectionId}", Context.ConnectionId);
+            }
+        }
+
+        
+        /// Adds the calling user's emoji reaction to a message in a room or DM thread. A user can react to a message
+        /// with several different emoji.
 
-                if (ValidateUser(fromUser))
+        public Task AddReaction(string messageId, string emoji, string room) =>
+            UpdateReaction(messageId, emoji, room, add: true);
+
+        
+        /// Removes one of the calling user's emoji reactions from a message in a room or DM thread.
+
+        public Task RemoveReaction(string messageId, string emoji, string room) =>
+            UpdateReaction(messageId, emoji, room, add: false);
+
+        
+        /// Applies a reaction change. Room messages keep their reactions in the message store, which serializes
+        /// concurrent changes, and the room gets the message's complete reactions with a version number
+        /// (ReactionsUpdated). DM messages aren't stored, so for DM threads only the change itself is relayed
+        /// (ReactionChanged). A change over the rate limit is refused with RateLimited and a HubException, so the client
+        /// can undo it.
+
+        private async Task UpdateReaction(string messageId, string emoji, string room, bool add)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(messageId) || !IsEmoji(emoji)) return;
+
+                var fromUser = GetCallerUsername();
+                if (fromUser == null || GetConversationClients(room, fromUser) is not { } clients) return;
+
+                if (!await TryAcquireRateLimit(RateLimitAction.Reaction, fromUser))
+                    throw new HubException("Reaction refused by rate limit");
+
+                if (room.StartsWith('@'))
                 {
-                    await Clients.All.ReceiveReaction(messageId, fromUser, emoji);
-                    _logger.LogDebug("Reaction sent: {MessageId} - {Emoji} - {FromUser}", messageId, emoji, fromUser);
+                    await clients.ReactionChanged(messageId, fromUser, emoji, add);
+                    return;
                 }
+
+                if (_messageStore.Get(messageId)?.Room != room.ToLowerInvariant()) return;
+
+                var reactions = _messageStore.UpdateReaction(messageId, fromUser, emoji, add);
+                if (reactions == null) return;
+
+                await clients.ReactionsUpdated(messageId, reactions.Reactions, reactions.Version);
+                _logger.LogDebug("Reaction {Change}: {MessageId} - {Emoji} - {FromUser}",
+                    add ? "added" : "removed", messageId, emoji, fromUser);
             }
-            catch (Exception ex)
+            catch (Exception ex) when (ex is not HubException)
             {
-                _logger.LogError(ex, "Error in ReactToMessage for {FromUser}", fromUser);
+                _logger.LogError(ex, "Error updating reaction for {ConnectionId}", Context.ConnectionId);
             }
         }
 
         
-        /// Marks a message as seen by a specific user and broadcasts this status to all clients.
-        /// Used for read receipts functionality.
+        /// Accepts short strings containing an emoji symbol (including keycaps such as 1️⃣), so reactions can't be
+        /// used to post arbitrary text.
+
+        private static bool IsEmoji(string? emoji) =>
+            !string.IsNullOrEmpty(emoji) &&
+            emoji.Length <= MaxEmojiLength &&
+            !emoji.Any(char.IsWhiteSpace) &&
+            emoji.EnumerateRunes().Any(r =>
+                Rune.GetUnicodeCategory(r) == UnicodeCategory.OtherSymbol || r.Value == 0x20E3);
 
-        public async Task MarkMessageAsSeen(string messageId, string seenByUser)
+        
+        /// Marks a message as seen by the calling user and broadcasts who saw it and when to the message's room or DM
+        /// thread. Used for read receipts and unread counts. Room messages remember who has seen them and when, so the
+        /// history API returns it and a repeat is not broadcast again; DM messages aren't stored and are only broadcast.
+
+        public async Task MarkSeen(string messageId, string room)
         {
             try
             {
                 if (string.IsNullOrWhiteSpace(messageId)) return;
 
-                if (ValidateUser(seenByUser))
-                    await Clients.All.MessageSeen(messageId, seenByUser);
+                var seenByUser = GetCallerUsername();
+                if (seenByUser == null || GetConversationClients(room, seenByUser) is not { } clients) return;
+
+                var seenAt = DateTime.UtcNow;
+                if (!room.StartsWith('@'))
+                {
+                    if (_messageStore.Get(messageId)?.Room != room.ToLowerInvariant() ||
+                        _messageStore.MarkSeen(messageId, seenByUser) is not { } recordedAt)
+                        return;
+
+                    seenAt = recordedAt;
+                }
+
+                await clients.MessageSeen(messageId, seenByUser, seenAt);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in MarkSeen for {ConnectionId}", Context.ConnectionId);
+            }
+        }
+
+        
+        /// Returns every room with its members.
+
+        public Task<List<RoomInfo>> GetRooms() => Task.FromResult(GetRoomInfos());
+
+        
+        /// Creates a new room with the calling user as its first member. Room names are lower-case letters,
+        /// digits, '-' and '_' (up to 32 characters) and must not already exist.
+
+        public async Task CreateRoom(string room)
+        {
+            try
+            {
+                if (!ConnectedUsers.TryGetValue(Context.ConnectionId, out var creator))
+                {
+                    _logger.LogWarning("Invalid connection: {ConnectionId}", Context.ConnectionId);
+                    return;
+                }
+
+                room = room?.Trim().ToLowerInvariant() ?? string.Empty;
+
+                if (!RoomNamePattern.IsMatch(room))
+                {
+                    _logger.LogWarning("Invalid room name {Room} from {Username}", room, creator.Username);
+                    return;
+                }
+
+                var chatRoom = new ChatRoom { Name = room, CreatedBy = creator.Username!, CreatedAt = DateTime.UtcNow };
+                chatRoom.AddMember(creator.Username!);
+
+                if (!Rooms.TryAdd(room, chatRoom))
+                {
+                    _logger.LogWarning("Room {Room} already exists", room);
+                    return;
+                }
+
+                foreach (var connectionId in GetConnectionIds(creator.Username!))
+                {
+                    await Groups.AddToGroupAsync(connectionId, RoomGroupName(room));
+                }
+
+                _logger.LogInformation("Room {Room} created by {Username}", room, creator.Username);
+                await SendRoomListUpdate();
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error in MarkMessageAsSeen for {SeenByUser}", seenByUser);
+                _logger.LogError(ex, "Error in CreateRoom for {Room}", room);
+            }
+        }
+
+        
+        /// Adds the calling user (all of their connections) to an existing room and announces it to the room.
+
+        public async Task JoinRoom(string room)
+        {
+            try
+            {
+                if (!ConnectedUsers.TryGetValue(Context.ConnectionId, out var user) ||
+                    !Rooms.TryGetValue(room, out var chatRoom))
+                {
+                    _logger.LogWarning("Invalid join of room {Room} from {ConnectionId}", room, Context.ConnectionId);
+                    return;
+                }
+
+                var username = user.Username!;
+                if (!chatRoom.AddMember(username)) return;
+
+                foreach (var connectionId in GetConnectionIds(username))
+                {
+                    await Groups.AddToGroupAsync(connectionId, RoomGroupName(chatRoom.Name));
+                }
+
+                await Clients.Group(RoomGroupName(chatRoom.Name))
+                    .ReceiveMessage("System", $"{username} joined #{chatRoom.Name}", Guid.NewGuid().ToString(), chatRoom.Name, null, new List<Attachment>());
+
+                _logger.LogInformation("User {Username} joined room {Room}", username, chatRoom.Name);
+                await SendRoomListUpdate();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in JoinRoom for {Room}", room);
+            }
+        }
+
+        
+        /// Removes the calling user (all of their connections) from a room. The default room can't be left.
+
+        public async Task LeaveRoom(string room)
+        {
+            try
+            {
+                if (!ConnectedUsers.TryGetValue(Context.ConnectionId, out var user) ||
+                    !Rooms.TryGetValue(room, out var chatRoom) ||
+                    chatRoom.Name == DefaultRoom)
+                {
+                    _logger.LogWarning("Invalid leave of room {Room} from {ConnectionId}", room, Context.ConnectionId);
+                    return;
+                }
+
+                var username = user.Username!;
+                if (!chatRoom.RemoveMember(username)) return;
+
+                foreach (var connectionId in GetConnectionIds(username))
+                {
+                    await Groups.RemoveFromGroupAsync(connectionId, RoomGroupName(chatRoom.Name));
+                }
+
+                await Clients.Group(RoomGroupName(chatRoom.Name))
+                    .ReceiveMessage("System", $"{username} left #{chatRoom.Name}", Guid.NewGuid().ToString(), chatRoom.Name, null, new List<Attachment>());
+
+                _logger.LogInformation("User {Username} left room {Room}", username, chatRoom.Name);
+                await SendRoomListUpdate();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in LeaveRoom for {Room}", room);
+            }
+        }
+
+        
+        /// Adds the public key of the calling user's browser to the key directory used for end-to-end encrypted
+        /// direct messages, and returns its key ID (null if the key isn't a P-256 point). Browsers publish on every
+        /// connect; a new key makes every client refresh that user's keys. Only the newest MaxPublicKeysPerUser are kept.
+        /// The directory is in memory, like presence, and fills up again as users reconnect.
+
+        public async Task<string?> PublishPublicKey(string publicKey)
+        {
+            var username = GetCallerUsername();
+            if (username == null) return null;
+
+            try
+            {
+                if (!TryParsePublicKey(publicKey, out var rawKey))
+                {
+                    _logger.LogWarning("Invalid public key from {Username}", username);
+                    return null;
+                }
+
+                var keyId = Convert.ToHexString(SHA256.HashData(rawKey)[..8]).ToLowerInvariant();
+                var keys = PublicKeys.GetOrAdd(username, _ => new List<DevicePublicKey>());
+
+                lock (keys)
+                {
+                    if (keys.Any(k => k.KeyId == keyId)) return keyId;
+
+                    keys.Add(new DevicePublicKey { KeyId = keyId, PublicKey = publicKey, PublishedAt = DateTime.UtcNow });
+                    if (keys.Count > MaxPublicKeysPerUser)
+                        keys.RemoveRange(0, keys.Count - MaxPublicKeysPerUser);
+                }
+
+                _logger.LogInformation("Public key {KeyId} published for {Username}", keyId, username);
+                await Clients.All.PublicKeysChanged(username);
+                return keyId;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in PublishPublicKey for {Username}", username);
+                return null;
+            }
+        }
+
+        
+        /// Returns the published public keys of a user, oldest first; empty if they never published one.
+
+        public Task<List<DevicePublicKey>> GetPublicKeys(string username)
+        {
+            if (string.IsNullOrWhiteSpace(username) || !PublicKeys.TryGetValue(username, out var keys))
+                return Task.FromResult(new List<DevicePublicKey>());
+
+            lock (keys) return Task.FromResult(keys.ToList());
+        }
+
+        private static bool TryParsePublicKey(string publicKey, out byte[] rawKey)
+        {
+            rawKey = Array.Empty<byte>();
+            if (string.IsNullOrWhiteSpace(publicKey)) return false;
+
+            try
+            {
+                rawKey = Convert.FromBase64String(publicKey);
+                if (rawKey.Length != 65 || rawKey[0] != 0x04) return false;
+
+                // Throws unless the point is on the curve.
+                using var ecdh = ECDiffieHellman.Create(new ECParameters
+                {
+                    Curve = ECCurve.NamedCurves.nistP256,
+                    Q = new ECPoint { X = rawKey[1..33], Y = rawKey[33..] }
+                });
+                return true;
+            }
+            catch (Exception ex) when (ex is FormatException or CryptographicException)
+            {
+                return false;
             }
         }
 
@@ -409,6 +1248,82 @@ namespace SignalR_Test_2.Hubs
         public Task Ping() => Task.CompletedTask;
 
         
+        /// Sets the presence of the calling connection: "online", "away" (idle or tab hidden, detected by the client)
+        /// or "dnd". Every client gets the updated user list.
+
+        public async Task SetPresence(string status)
+        {
+            try
+            {
+                if (!PresenceStatus.IsSettable(status))
+                {
+                    _logger.LogWarning("Invalid presence {Status} from {ConnectionId}", status, Context.ConnectionId);
+                    return;
+                }
+
+                if (!ConnectedUsers.TryGetValue(Context.ConnectionId, out var connection))
+                {
+                    _logger.LogWarning("Invalid connection: {ConnectionId}", Context.ConnectionId);
+                    return;
+                }
+
+                if (connection.Presence == status) return;
+
+                connection.Presence = status;
+                connection.PresenceChangedAt = DateTime.UtcNow;
+
+                await SendUserListUpdate();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in SetPresence for {ConnectionId}", Context.ConnectionId);
+            }
+        }
+
+        
+        /// Registers the calling user's browser for Web Push, with the endpoint and keys of its PushSubscription.
+        /// Pushes are sent while the user has no open connection. Registering a known endpoint moves it to this user.
+
+        public Task SubscribePush(string endpoint, string p256dh, string auth)
+        {
+            var username = GetCallerUsername();
+            if (username == null) return Task.CompletedTask;
+
+            if (!Uri.TryCreate(endpoint, UriKind.Absolute, out var uri) || uri.Scheme != Uri.UriSchemeHttps ||
+                string.IsNullOrWhiteSpace(p256dh) || string.IsNullOrWhiteSpace(auth))
+            {
+                _logger.LogWarning("Invalid push subscription from {Username}", username);
+                return Task.CompletedTask;
+            }
+
+            _pushSubscriptionStore.Save(new PushSubscriptionInfo
+            {
+                Username = username,
+                Endpoint = endpoint,
+                P256dh = p256dh,
+                Auth = auth,
+                CreatedAt = DateTime.UtcNow
+            });
+
+            _logger.LogInformation("Push subscription registered for {Username}", username);
+            return Task.CompletedTask;
+        }
+
+        
+        /// Removes one of the calling user's push subscriptions, e.g. on logout so the browser stops getting pushes.
+
+        public Task UnsubscribePush(string endpoint)
+        {
+            var username = GetCallerUsername();
+            if (username == null || string.IsNullOrWhiteSpace(endpoint)) return Task.CompletedTask;
+
+            if (_pushSubscriptionStore.GetForUser(username).Any(s => s.Endpoint == endpoint))
+                _pushSubscriptionStore.Remove(endpoint);
+
+            return Task.CompletedTask;
+        }
+
+        
         /// Returns a list of all currently online users (unique usernames only, sorted alphabetically).
 
         public Task<List<string>> GetOnlineUsers()
@@ -423,6 +1338,57 @@ namespace SignalR_Test_2.Hubs
         }
 
         
+        /// Single-reaction contract: the emoji replaced the user's previous reaction and an empty one cleared it.
+        /// Now adds the emoji alongside any others; clearing is ignored.
+
+        [Obsolete("Use AddReaction() or RemoveReaction(); a user can now have several reactions on a message.")]
+        public Task SetReaction(string messageId, string emoji, string room) =>
+            string.IsNullOrEmpty(emoji) ? Task.CompletedTask : AddReaction(messageId, emoji, room);
+
+        
+        /// Pre-identity hub contract, where the client passed its own username and everything happened in the default
+        /// room. The parameter lists are kept exactly so older clients still bind to these methods during the migration;
+        /// the username they pass is ignored and each call is forwarded to its replacement, which takes the user from
+        /// the connection. Reactions and receipts go to the room the message was sent in.
+
+        [Obsolete("Use Logout(), which takes the user from the connection.")]
+        public Task ExplicitLogout(string username) => Logout();
+
+        [Obsolete("Use SendToRoom(), which takes the sender from the connection.")]
+        public Task SendMessage(string fromUser, string message, string messageId) =>
+            SendToRoom(message, messageId, DefaultRoom, null, null);
+
+        [Obsolete("Use StartTyping(), which takes the user from the connection.")]
+        public Task Typing(string username) => StartTyping(DefaultRoom);
+
+        [Obsolete("Use StopTyping(), which takes the user from the connection.")]
+        public Task StoppedTyping(string username) => StopTyping(DefaultRoom);
+
+        [Obsolete("Use AddReaction() or RemoveReaction(), which take the user from the connection.")]
+        public Task ReactToMessage(string messageId, string fromUser, string emoji) =>
+            SetReaction(messageId, emoji, RoomOfMessage(messageId));
+
+        [Obsolete("Use MarkSeen(), which takes the user from the connection.")]
+        public Task MarkMessageAsSeen(string messageId, string seenByUser) =>
+            MarkSeen(messageId, RoomOfMessage(messageId));
+
+        private string RoomOfMessage(string messageId) =>
+            (string.IsNullOrWhiteSpace(messageId) ? null : _messageStore.Get(messageId)?.Room) ?? DefaultRoom;
+
+        
+        /// Returns the username of the calling connection, as established from its token in OnConnectedAsync.
+        /// Returns null (and logs) for a connection that was never registered or has been removed by a session switch.
+
+        private string? GetCallerUsername()
+        {
+            if (ConnectedUsers.TryGetValue(Context.ConnectionId, out var user))
+                return user.Username;
+
+            _logger.LogWarning("Invalid connection: {ConnectionId}", Context.ConnectionId);
+            return null;
+        }
+
+        
         /// Validates that the current connection belongs to the specified username.
         /// Prevents users from sending messages or performing actions on behalf of other users.
 
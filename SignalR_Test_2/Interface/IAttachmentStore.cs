@@ -0,0 +1,13 @@
+﻿using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Interface
+{
+    public interface IAttachmentStore
+    {
+        Task<Attachment> SaveAsync(Stream content, string fileName, string contentType, long size, string uploadedBy);
+        Attachment? Get(string attachmentId);
+        IReadOnlyList<Attachment> Claim(IEnumerable<string> attachmentIds, string username, string messageId);
+        string GetFilePath(Attachment attachment);
+        void Delete(string attachmentId, string messageId);
+    }
+}
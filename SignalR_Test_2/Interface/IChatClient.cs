@@ -1,14 +1,25 @@
-﻿namespace SignalR_Test_2.Interface
+﻿using SignalR_Test_2.Dtos;
+using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Interface
 {
     public interface IChatClient
     {
-        Task ReceiveMessage(string user, string message, string messageId);
+        Task ReceiveMessage(string user, string message, string messageId, string room, string? replyToMessageId, List<Attachment> attachments);
+        Task ReceivePrivateMessage(string fromUser, string toUser, string message, string messageId, DateTime sentAt);
         Task NotifyNewUser(string username);
-        Task UserTyping(string username);
-        Task UserStoppedTyping(string username);
-        Task ReceiveReaction(string messageId, string fromUser, string emoji);
-        Task MessageSeen(string messageId, string seenByUser);
-        Task UpdateUserList(List<string> users);
-        Task ReceiveNotification(string fromUser, string message, string messageId);
+        Task UserTyping(string username, string room);
+        Task UserStoppedTyping(string username, string room);
+        Task MessageEdited(string messageId, string newMessage, DateTime editedAt);
+        Task MessageDeleted(string messageId);
+        Task ReactionsUpdated(string messageId, Dictionary<string, List<string>> reactions, long version);
+        Task ReactionChanged(string messageId, string user, string emoji, bool added);
+        Task MessageSeen(string messageId, string seenByUser, DateTime seenAt);
+        Task UpdateUserList(List<UserPresence> users);
+        Task UpdateRoomList(List<RoomInfo> rooms);
+        Task ReceiveNotification(string fromUser, string message, string messageId, string? room);
+        Task ReceiveMention(string fromUser, string message, string messageId, string room);
+        Task PublicKeysChanged(string username);
+        Task RateLimited(RateLimitNotice notice);
     }
 }
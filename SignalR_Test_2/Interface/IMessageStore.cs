@@ -0,0 +1,18 @@
+﻿using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Interface
+{
+    public interface IMessageStore
+    {
+        bool TryAdd(ChatMessage message);
+        bool Contains(string messageId);
+        ChatMessage? Get(string messageId);
+        ChatMessage? Edit(string messageId, string newText);
+        ChatMessage? Remove(string messageId);
+        DateTime? MarkSeen(string messageId, string username);
+        MessageReactions? UpdateReaction(string messageId, string username, string emoji, bool add);
+        List<ChatMessage> GetAll();
+        List<ChatMessage> GetPage(string room, string? beforeMessageId, int limit);
+        List<MessageSearchResult> Search(MessageSearchQuery query, int contextSize, int limit);
+    }
+}
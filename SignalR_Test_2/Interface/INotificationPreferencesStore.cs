@@ -0,0 +1,10 @@
+﻿using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Interface
+{
+    public interface INotificationPreferencesStore
+    {
+        NotificationPreferences Get(string username);
+        void Save(string username, NotificationPreferences preferences);
+    }
+}
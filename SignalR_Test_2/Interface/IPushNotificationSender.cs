@@ -0,0 +1,12 @@
+﻿using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Interface
+{
+    public interface IPushNotificationSender
+    {
+        /// The VAPID public key browsers need to subscribe, base64url encoded.
+        string PublicKey { get; }
+
+        Task SendAsync(string username, PushNotification notification);
+    }
+}
@@ -0,0 +1,11 @@
+﻿using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Interface
+{
+    public interface IPushSubscriptionStore
+    {
+        void Save(PushSubscriptionInfo subscription);
+        bool Remove(string endpoint);
+        List<PushSubscriptionInfo> GetForUser(string username);
+    }
+}
@@ -0,0 +1,11 @@
+﻿using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Interface
+{
+    public interface IUserStore
+    {
+        UserAccount? Register(string username, string password);
+        UserAccount? ValidateCredentials(string username, string password);
+        string? FindUsername(string username);
+    }
+}
@@ -0,0 +1,26 @@
+﻿using System.Text.Json.Serialization;
+
+namespace SignalR_Test_2.Models
+{
+    public class Attachment
+    {
+        public string AttachmentId { get; set; } = string.Empty;
+        public string FileName { get; set; } = string.Empty;
+        public string ContentType { get; set; } = string.Empty;
+        public long Size { get; set; }
+        public DateTime UploadedAt { get; set; }
+
+        [JsonIgnore]
+        public string StoredFileName { get; set; } = string.Empty;
+
+        [JsonIgnore]
+        public string UploadedBy { get; set; } = string.Empty;
+
+        /// The message the attachment was sent with, or null while it is only uploaded.
+        [JsonIgnore]
+        public string? MessageId { get; set; }
+
+        [JsonIgnore]
+        public bool IsImage => ContentType.StartsWith("image/", StringComparison.OrdinalIgnoreCase);
+    }
+}
@@ -0,0 +1,11 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// Upload limits and storage location, bound from the "Attachments" section of appsettings.json.
+    public class AttachmentOptions
+    {
+        public string StoragePath { get; set; } = "uploads";
+        public long MaxFileSizeBytes { get; set; } = 10 * 1024 * 1024;
+        public int MaxAttachmentsPerMessage { get; set; } = 10;
+        public List<string> AllowedExtensions { get; set; } = new();
+    }
+}
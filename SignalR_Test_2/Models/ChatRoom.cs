@@ -0,0 +1,32 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// A named chat room. Members are tracked by username, so every connection of a member is part of the room.
+    public class ChatRoom
+    {
+        private readonly HashSet<string> _members = new(StringComparer.OrdinalIgnoreCase);
+
+        public string Name { get; set; } = string.Empty;
+        public string CreatedBy { get; set; } = string.Empty;
+        public DateTime CreatedAt { get; set; }
+
+        public bool AddMember(string username)
+        {
+            lock (_members) return _members.Add(username);
+        }
+
+        public bool RemoveMember(string username)
+        {
+            lock (_members) return _members.Remove(username);
+        }
+
+        public bool HasMember(string username)
+        {
+            lock (_members) return _members.Contains(username);
+        }
+
+        public List<string> GetMembers()
+        {
+            lock (_members) return _members.OrderBy(m => m).ToList();
+        }
+    }
+}
@@ -0,0 +1,11 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// The public half of a browser's key pair for end-to-end encrypted direct messages. PublicKey is the raw
+    /// uncompressed P-256 point, base64 encoded; KeyId is the hex of the first 8 bytes of its SHA-256.
+    public class DevicePublicKey
+    {
+        public string KeyId { get; set; } = string.Empty;
+        public string PublicKey { get; set; } = string.Empty;
+        public DateTime PublishedAt { get; set; }
+    }
+}
@@ -0,0 +1,14 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// Token settings, bound from the "Jwt" section of appsettings.json.
+    /// When SigningKey is empty a random key is generated on first start and kept in SigningKeyPath.
+    public class JwtOptions
+    {
+        public string Issuer { get; set; } = "SignalR_Test_2";
+        public string Audience { get; set; } = "SignalR_Test_2";
+        public string SigningKey { get; set; } = string.Empty;
+        public string SigningKeyPath { get; set; } = "jwt-signing.key";
+        public string UserStorePath { get; set; } = "users.json";
+        public int ExpiryMinutes { get; set; } = 60 * 24;
+    }
+}
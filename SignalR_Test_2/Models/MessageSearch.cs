@@ -0,0 +1,21 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// Filters for a message search within one room. Text and sender match case-insensitively; every
+    /// whitespace-separated word of the text has to appear in the message. The date range is inclusive and in UTC.
+    public class MessageSearchQuery
+    {
+        public string Room { get; set; } = string.Empty;
+        public string? Text { get; set; }
+        public string? FromUser { get; set; }
+        public DateTime? Since { get; set; }
+        public DateTime? Until { get; set; }
+    }
+
+    /// A message that matched a search, with the messages of the same room just before and after it.
+    public class MessageSearchResult
+    {
+        public ChatMessage Message { get; set; } = null!;
+        public List<ChatMessage> Before { get; set; } = new();
+        public List<ChatMessage> After { get; set; } = new();
+    }
+}
@@ -4,5 +4,37 @@
     {
         public string Message { get; set; }
         public string FromUser { get; set; }
+        public string? MessageId { get; set; }
+        public DateTime Timestamp { get; set; }
+        public string? Room { get; set; }
+        public string? ReplyToMessageId { get; set; }
+        public List<Attachment> Attachments { get; set; } = new();
+        public DateTime? EditedAt { get; set; }
+        public List<MessageRevision> EditHistory { get; set; } = new();
+        public List<SeenReceipt> SeenBy { get; set; } = new();
+        public Dictionary<string, List<string>> Reactions { get; set; } = new();
+        public long ReactionsVersion { get; set; }
+    }
+
+    /// A user who has seen a message, and when they first saw it.
+    public class SeenReceipt
+    {
+        public string Username { get; set; } = string.Empty;
+        public DateTime SeenAt { get; set; }
+    }
+
+    /// A copy of a message's reactions: each emoji with the users who reacted with it, in the order they reacted.
+    /// The version goes up with every change, so clients can drop updates that arrive out of order.
+    public class MessageReactions
+    {
+        public Dictionary<string, List<string>> Reactions { get; set; } = new();
+        public long Version { get; set; }
+    }
+
+    /// An earlier version of an edited message and when it was replaced.
+    public class MessageRevision
+    {
+        public string Message { get; set; } = string.Empty;
+        public DateTime EditedAt { get; set; }
     }
 }
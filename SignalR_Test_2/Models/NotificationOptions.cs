@@ -0,0 +1,15 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// Notification settings storage and Web Push, bound from the "Notifications" section of appsettings.json.
+    /// When the VAPID keys are empty a key pair is generated on first start and kept in VapidKeysPath.
+    public class NotificationOptions
+    {
+        public string PreferencesPath { get; set; } = "notification-preferences.json";
+        public string PushSubscriptionsPath { get; set; } = "push-subscriptions.json";
+        public int MaxPushSubscriptionsPerUser { get; set; } = 10;
+        public string VapidSubject { get; set; } = "mailto:admin@localhost";
+        public string VapidPublicKey { get; set; } = string.Empty;
+        public string VapidPrivateKey { get; set; } = string.Empty;
+        public string VapidKeysPath { get; set; } = "vapid-keys.json";
+    }
+}
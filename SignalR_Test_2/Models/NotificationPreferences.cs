@@ -0,0 +1,46 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// A user's notification settings. Quiet hours are minutes after midnight in the user's time zone (an IANA ID
+    /// reported by the browser) and may wrap past midnight, e.g. 22:00-07:00.
+    public class NotificationPreferences
+    {
+        public const int MinutesPerDay = 24 * 60;
+
+        public bool MuteAll { get; set; }
+        public List<string> MutedRooms { get; set; } = new();
+        public List<string> MutedUsers { get; set; } = new();
+        public bool QuietHoursEnabled { get; set; }
+        public int QuietHoursStart { get; set; } = 22 * 60;
+        public int QuietHoursEnd { get; set; } = 7 * 60;
+        public string? TimeZone { get; set; }
+        public bool Sound { get; set; } = true;
+        public bool MentionsOnly { get; set; }
+        public bool ShowPreviews { get; set; } = true;
+
+        /// Whether a message should notify the user. Mentions get through a muted room and mentions-only mode, but not
+        /// a muted sender or quiet hours. Rooms are null for private messages.
+        public bool Allows(string fromUser, string? room, bool isMention, DateTime utcNow)
+        {
+            if (MuteAll || MutedUsers.Contains(fromUser, StringComparer.OrdinalIgnoreCase))
+                return false;
+
+            if (!isMention && (MentionsOnly || (room != null && MutedRooms.Contains(room, StringComparer.OrdinalIgnoreCase))))
+                return false;
+
+            return !QuietHoursEnabled || !IsInQuietHours(utcNow);
+        }
+
+        private bool IsInQuietHours(DateTime utcNow)
+        {
+            var zone = TimeZone != null && TimeZoneInfo.TryFindSystemTimeZoneById(TimeZone, out var found)
+                ? found
+                : TimeZoneInfo.Utc;
+            var local = TimeZoneInfo.ConvertTimeFromUtc(utcNow, zone).TimeOfDay;
+            var minutes = (int)local.TotalMinutes;
+
+            return QuietHoursStart <= QuietHoursEnd
+                ? minutes >= QuietHoursStart && minutes < QuietHoursEnd
+                : minutes >= QuietHoursStart || minutes < QuietHoursEnd;
+        }
+    }
+}
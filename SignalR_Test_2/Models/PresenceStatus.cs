@@ -0,0 +1,15 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// Presence values shared with the client. Online, Away and DoNotDisturb are chosen per connection through
+    /// SetPresence; Offline is only reported for users with no connection left.
+    public static class PresenceStatus
+    {
+        public const string Online = "online";
+        public const string Away = "away";
+        public const string DoNotDisturb = "dnd";
+        public const string Offline = "offline";
+
+        public static bool IsSettable(string? status) =>
+            status is Online or Away or DoNotDisturb;
+    }
+}
@@ -0,0 +1,23 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// A browser's Web Push subscription: the push service endpoint and the keys used to encrypt payloads for it.
+    public class PushSubscriptionInfo
+    {
+        public string Username { get; set; } = string.Empty;
+        public string Endpoint { get; set; } = string.Empty;
+        public string P256dh { get; set; } = string.Empty;
+        public string Auth { get; set; } = string.Empty;
+        public DateTime CreatedAt { get; set; }
+    }
+
+    /// What the service worker shows for a push. MessageId and Room let a click open the chat on the message; Room is
+    /// null for a private message, which opens the DM thread with FromUser instead.
+    public class PushNotification
+    {
+        public string Title { get; set; } = string.Empty;
+        public string Body { get; set; } = string.Empty;
+        public string FromUser { get; set; } = string.Empty;
+        public string MessageId { get; set; } = string.Empty;
+        public string? Room { get; set; }
+    }
+}
@@ -0,0 +1,10 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// The rate-limited hub actions, as reported to the client in RateLimitNotice.Action.
+    public static class RateLimitAction
+    {
+        public const string Message = "message";
+        public const string Typing = "typing";
+        public const string Reaction = "reaction";
+    }
+}
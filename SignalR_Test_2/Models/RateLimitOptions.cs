@@ -0,0 +1,25 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// Limits on how fast clients may call the busiest hub methods, bound from the "RateLimits" section of
+    /// appsettings.json. Each action has a token bucket per connection and one per user, shared by all of the user's
+    /// connections; a call needs a token from both. A user may also send the same text to a conversation at most
+    /// MaxIdenticalMessages times within DuplicateWindowSeconds.
+    public class RateLimitOptions
+    {
+        public TokenBucketOptions MessagesPerConnection { get; set; } = new() { Capacity = 5, TokensPerSecond = 1 };
+        public TokenBucketOptions MessagesPerUser { get; set; } = new() { Capacity = 8, TokensPerSecond = 1.5 };
+        public TokenBucketOptions TypingPerConnection { get; set; } = new() { Capacity = 3, TokensPerSecond = 0.5 };
+        public TokenBucketOptions TypingPerUser { get; set; } = new() { Capacity = 5, TokensPerSecond = 1 };
+        public TokenBucketOptions ReactionsPerConnection { get; set; } = new() { Capacity = 10, TokensPerSecond = 2 };
+        public TokenBucketOptions ReactionsPerUser { get; set; } = new() { Capacity = 15, TokensPerSecond = 3 };
+        public int DuplicateWindowSeconds { get; set; } = 30;
+        public int MaxIdenticalMessages { get; set; } = 2;
+    }
+
+    /// A bucket holds up to Capacity tokens and gains TokensPerSecond of them back over time; each call takes one.
+    public class TokenBucketOptions
+    {
+        public int Capacity { get; set; }
+        public double TokensPerSecond { get; set; }
+    }
+}
@@ -0,0 +1,10 @@
+﻿namespace SignalR_Test_2.Models
+{
+    /// A registered user. Only the password hash is kept; usernames are unique ignoring case.
+    public class UserAccount
+    {
+        public string Username { get; set; } = string.Empty;
+        public string PasswordHash { get; set; } = string.Empty;
+        public DateTime CreatedAt { get; set; }
+    }
+}
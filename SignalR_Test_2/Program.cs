@@ -1,4 +1,10 @@
+using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.IdentityModel.JsonWebTokens;
+using Microsoft.IdentityModel.Tokens;
 using SignalR_Test_2.Hubs;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+using SignalR_Test_2.Services;
 
 var builder = WebApplication.CreateBuilder(args);
 
@@ -6,11 +12,64 @@ builder.Services.AddControllers();
 
 builder.Services.AddSignalR();
 
+builder.Services.AddSingleton<IMessageStore, InMemoryMessageStore>();
+
+builder.Services.Configure<AttachmentOptions>(builder.Configuration.GetSection("Attachments"));
+builder.Services.AddSingleton<IAttachmentStore, LocalDiskAttachmentStore>();
+
+var jwtSection = builder.Configuration.GetSection("Jwt");
+var jwtOptions = jwtSection.Get<JwtOptions>() ?? new JwtOptions();
+var signingKey = TokenService.LoadSigningKey(jwtOptions, builder.Environment.ContentRootPath);
+
+builder.Services.Configure<JwtOptions>(jwtSection);
+builder.Services.AddSingleton(signingKey);
+builder.Services.AddSingleton<TokenService>();
+builder.Services.AddSingleton<IUserStore, JsonFileUserStore>();
+
+builder.Services.Configure<NotificationOptions>(builder.Configuration.GetSection("Notifications"));
+builder.Services.AddSingleton<INotificationPreferencesStore, JsonFileNotificationPreferencesStore>();
+builder.Services.AddSingleton<IPushSubscriptionStore, JsonFilePushSubscriptionStore>();
+builder.Services.AddSingleton<IPushNotificationSender, WebPushNotificationSender>();
+
+builder.Services.Configure<RateLimitOptions>(builder.Configuration.GetSection("RateLimits"));
+builder.Services.AddSingleton<HubRateLimiter>();
+
+builder.Services.AddAuthentication(JwtBearerDefaults.AuthenticationScheme)
+    .AddJwtBearer(options =>
+    {
+        options.MapInboundClaims = false;
+        options.TokenValidationParameters = new TokenValidationParameters
+        {
+            ValidIssuer = jwtOptions.Issuer,
+            ValidAudience = jwtOptions.Audience,
+            IssuerSigningKey = signingKey,
+            NameClaimType = JwtRegisteredClaimNames.UniqueName
+        };
+
+        // Browsers can't set headers on WebSocket/SSE requests, so SignalR sends the token in the query string.
+        options.Events = new JwtBearerEvents
+        {
+            OnMessageReceived = context =>
+            {
+                var accessToken = context.Request.Query["access_token"];
+                if (!string.IsNullOrEmpty(accessToken) && context.HttpContext.Request.Path.StartsWithSegments("/chatHub"))
+                {
+                    context.Token = accessToken;
+                }
+                return Task.CompletedTask;
+            }
+        };
+    });
+builder.Services.AddAuthorization();
+
+// Origins of the React client, per environment (appsettings.{Environment}.json or Cors__AllowedOrigins__0=... env vars).
+var allowedOrigins = builder.Configuration.GetSection("Cors:AllowedOrigins").Get<string[]>() ?? Array.Empty<string>();
+
 builder.Services.AddCors(options =>
 {
     options.AddPolicy("AllowAll", policy =>
     {
-        policy.WithOrigins("http://localhost:3001")
+        policy.WithOrigins(allowedOrigins)
               .AllowAnyMethod()
               .AllowAnyHeader() 
               .AllowCredentials(); // REQUIRED for SignalR
@@ -33,6 +92,7 @@ app.UseCors("AllowAll");
 
 app.UseHttpsRedirection();
 
+app.UseAuthentication();
 app.UseAuthorization();
 
 app.MapHub<ChatHub>("/chatHub");
@@ -0,0 +1,137 @@
+﻿using Microsoft.Extensions.Options;
+using SignalR_Test_2.Models;
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace SignalR_Test_2.Services
+{
+    /// Token buckets and duplicate detection for the hub. State is in memory, like the hub's connection tracking,
+    /// so limits reset when the server restarts.
+    public class HubRateLimiter
+    {
+        private static readonly Regex Whitespace = new(@"\s+", RegexOptions.Compiled);
+
+        private readonly RateLimitOptions _options;
+        private readonly ConcurrentDictionary<string, TokenBucket> _buckets = new();
+        private readonly Dictionary<string, List<(string MessageId, DateTime SentAt)>> _recentMessages = new();
+        private readonly object _lock = new();
+        private DateTime _lastPrune = DateTime.UtcNow;
+
+        public HubRateLimiter(IOptions<RateLimitOptions> options)
+        {
+            _options = options.Value;
+        }
+
+        /// Takes a token for the action from both the connection's and the user's bucket. Returns null when the call
+        /// may go ahead, or how long until both buckets have a token again; no token is taken in that case.
+        public TimeSpan? TryAcquire(string action, string connectionId, string username)
+        {
+            var (connectionLimit, userLimit) = GetLimits(action);
+            var now = DateTime.UtcNow;
+
+            var connectionBucket = _buckets.GetOrAdd(ConnectionKey(action, connectionId),
+                _ => new TokenBucket(connectionLimit.Capacity, now));
+            var userBucket = _buckets.GetOrAdd($"{action}|user|{username.ToLowerInvariant()}",
+                _ => new TokenBucket(userLimit.Capacity, now));
+
+            lock (_lock)
+            {
+                connectionBucket.Refill(connectionLimit, now);
+                userBucket.Refill(userLimit, now);
+
+                if (connectionBucket.Tokens >= 1 && userBucket.Tokens >= 1)
+                {
+                    connectionBucket.Tokens--;
+                    userBucket.Tokens--;
+                    return null;
+                }
+
+                var wait = Math.Max(connectionBucket.SecondsUntilToken(connectionLimit), userBucket.SecondsUntilToken(userLimit));
+                return TimeSpan.FromSeconds(wait);
+            }
+        }
+
+        /// Records a message and reports whether it repeats the same text too often in the same conversation.
+        /// A resend of an already recorded messageId (e.g. from the client's outbox) is not a repeat, and a refused
+        /// message is not recorded, so it stays refused if it is sent again.
+        public bool IsDuplicate(string username, string conversation, string text, string messageId)
+        {
+            var now = DateTime.UtcNow;
+            var window = TimeSpan.FromSeconds(_options.DuplicateWindowSeconds);
+            var key = $"{username.ToLowerInvariant()}|{conversation.ToLowerInvariant()}|{Fingerprint(text)}";
+
+            lock (_lock)
+            {
+                if (now - _lastPrune > window)
+                {
+                    foreach (var expired in _recentMessages.Where(kvp => kvp.Value.All(m => now - m.SentAt > window)).ToList())
+                    {
+                        _recentMessages.Remove(expired.Key);
+                    }
+                    _lastPrune = now;
+                }
+
+                if (!_recentMessages.TryGetValue(key, out var sent))
+                {
+                    sent = new List<(string MessageId, DateTime SentAt)>();
+                    _recentMessages[key] = sent;
+                }
+
+                sent.RemoveAll(m => now - m.SentAt > window);
+
+                if (sent.Any(m => m.MessageId == messageId)) return false;
+                if (sent.Count >= _options.MaxIdenticalMessages) return true;
+
+                sent.Add((messageId, now));
+                return false;
+            }
+        }
+
+        /// Drops a closed connection's buckets. The user's buckets stay, so reconnecting doesn't reset the limits.
+        public void RemoveConnection(string connectionId)
+        {
+            foreach (var action in new[] { RateLimitAction.Message, RateLimitAction.Typing, RateLimitAction.Reaction })
+            {
+                _buckets.TryRemove(ConnectionKey(action, connectionId), out _);
+            }
+        }
+
+        private (TokenBucketOptions Connection, TokenBucketOptions User) GetLimits(string action) => action switch
+        {
+            RateLimitAction.Message => (_options.MessagesPerConnection, _options.MessagesPerUser),
+            RateLimitAction.Typing => (_options.TypingPerConnection, _options.TypingPerUser),
+            RateLimitAction.Reaction => (_options.ReactionsPerConnection, _options.ReactionsPerUser),
+            _ => throw new ArgumentOutOfRangeException(nameof(action), action, "Unknown rate-limited action")
+        };
+
+        private static string ConnectionKey(string action, string connectionId) => $"{action}|connection|{connectionId}";
+
+        // Case and spacing changes don't make a message different. Hashed so long messages aren't kept in memory.
+        private static string Fingerprint(string text) =>
+            Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(
+                Whitespace.Replace(text.Trim(), " ").ToLowerInvariant())));
+
+        private class TokenBucket
+        {
+            public double Tokens;
+            private DateTime _updatedAt;
+
+            public TokenBucket(double tokens, DateTime now)
+            {
+                Tokens = tokens;
+                _updatedAt = now;
+            }
+
+            public void Refill(TokenBucketOptions limit, DateTime now)
+            {
+                Tokens = Math.Min(limit.Capacity, Tokens + (now - _updatedAt).TotalSeconds * limit.TokensPerSecond);
+                _updatedAt = now;
+            }
+
+            public double SecondsUntilToken(TokenBucketOptions limit) =>
+                Tokens >= 1 ? 0 : (1 - Tokens) / limit.TokensPerSecond;
+        }
+    }
+}
@@ -0,0 +1,240 @@
+﻿using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+
+namespace SignalR_Test_2.Services
+{
+    /// Keeps the chat history in memory for the lifetime of the server process.
+    /// Messages are kept in the order they were received and the oldest ones are dropped once the cap is reached.
+    /// Reads return copies taken under the lock, so callers can serialize them while reactions, edits and seen
+    /// receipts change the stored messages.
+    public class InMemoryMessageStore : IMessageStore
+    {
+        private const int MaxMessages = 5000;
+        private const int MaxReactionEmojisPerMessage = 20;
+
+        private readonly List<ChatMessage> _messages = new();
+        private readonly HashSet<string> _messageIds = new();
+        private readonly object _lock = new();
+
+        /// Stores a message, assigning the server timestamp and an ID when the sender didn't provide one.
+        /// Returns false if a message with the same ID was already stored, so resent messages are dropped.
+        public bool TryAdd(ChatMessage message)
+        {
+            lock (_lock)
+            {
+                if (string.IsNullOrWhiteSpace(message.MessageId))
+                    message.MessageId = Guid.NewGuid().ToString();
+
+                if (!_messageIds.Add(message.MessageId))
+                    return false;
+
+                message.Timestamp = DateTime.UtcNow;
+                _messages.Add(message);
+
+                if (_messages.Count > MaxMessages)
+                {
+                    _messageIds.Remove(_messages[0].MessageId!);
+                    _messages.RemoveAt(0);
+                }
+
+                return true;
+            }
+        }
+
+        /// Whether a message with this ID has been stored, including one deleted since. Evicted IDs are forgotten.
+        public bool Contains(string messageId)
+        {
+            lock (_lock)
+            {
+                return _messageIds.Contains(messageId);
+            }
+        }
+
+        public ChatMessage? Get(string messageId)
+        {
+            lock (_lock)
+            {
+                var message = _messages.FirstOrDefault(m => m.MessageId == messageId);
+                return message == null ? null : Snapshot(message);
+            }
+        }
+
+        /// Replaces the text of a stored message, keeping the previous text in its edit history.
+        /// Returns a copy of the updated message, or null if it isn't stored.
+        public ChatMessage? Edit(string messageId, string newText)
+        {
+            lock (_lock)
+            {
+                var message = _messages.FirstOrDefault(m => m.MessageId == messageId);
+                if (message == null) return null;
+
+                var editedAt = DateTime.UtcNow;
+                message.EditHistory.Add(new MessageRevision { Message = message.Message, EditedAt = editedAt });
+                message.Message = newText;
+                message.EditedAt = editedAt;
+                return Snapshot(message);
+            }
+        }
+
+        /// Records that a user has seen a stored message and returns when. Returns null if the message isn't stored or
+        /// the user had already seen it, so the first time is kept.
+        public DateTime? MarkSeen(string messageId, string username)
+        {
+            lock (_lock)
+            {
+                var message = _messages.FirstOrDefault(m => m.MessageId == messageId);
+                if (message == null ||
+                    message.SeenBy.Any(r => r.Username.Equals(username, StringComparison.OrdinalIgnoreCase)))
+                    return null;
+
+                var receipt = new SeenReceipt { Username = username, SeenAt = DateTime.UtcNow };
+                message.SeenBy.Add(receipt);
+                return receipt.SeenAt;
+            }
+        }
+
+        /// Adds or removes one user's emoji reaction on a stored message and returns a copy of its reactions afterwards,
+        /// or null if the message isn't stored. Adding a reaction the user already has, removing one they don't have, or
+        /// adding a new emoji to a message that already has the maximum number of different emoji changes nothing.
+        public MessageReactions? UpdateReaction(string messageId, string username, string emoji, bool add)
+        {
+            lock (_lock)
+            {
+                var message = _messages.FirstOrDefault(m => m.MessageId == messageId);
+                if (message == null) return null;
+
+                var hasEmoji = message.Reactions.TryGetValue(emoji, out var users);
+                var hasReacted = hasEmoji && users!.Contains(username, StringComparer.OrdinalIgnoreCase);
+
+                if (add && !hasReacted && (hasEmoji || message.Reactions.Count < MaxReactionEmojisPerMessage))
+                {
+                    if (!hasEmoji) message.Reactions[emoji] = users = new List<string>();
+                    users!.Add(username);
+                    message.ReactionsVersion++;
+                }
+                else if (!add && hasReacted)
+                {
+                    users!.RemoveAll(u => u.Equals(username, StringComparison.OrdinalIgnoreCase));
+                    if (users.Count == 0) message.Reactions.Remove(emoji);
+                    message.ReactionsVersion++;
+                }
+
+                return new MessageReactions
+                {
+                    Reactions = message.Reactions.ToDictionary(r => r.Key, r => r.Value.ToList()),
+                    Version = message.ReactionsVersion
+                };
+            }
+        }
+
+        /// Removes a message from the history and returns it, or null if it isn't stored.
+        /// Its ID stays reserved so a late resend of the same message can't bring it back.
+        public ChatMessage? Remove(string messageId)
+        {
+            lock (_lock)
+            {
+                var index = _messages.FindIndex(m => m.MessageId == messageId);
+                if (index < 0) return null;
+
+                var message = _messages[index];
+                _messages.RemoveAt(index);
+                return message;
+            }
+        }
+
+        public List<ChatMessage> GetAll()
+        {
+            lock (_lock)
+            {
+                return _messages.Select(Snapshot).ToList();
+            }
+        }
+
+        /// Returns up to `limit` messages of a room sent before the given message, oldest first.
+        /// Without a cursor the latest page is returned; an unknown cursor yields an empty page.
+        public List<ChatMessage> GetPage(string room, string? beforeMessageId, int limit)
+        {
+            lock (_lock)
+            {
+                var end = _messages.Count;
+
+                if (!string.IsNullOrEmpty(beforeMessageId))
+                {
+                    end = _messages.FindIndex(m => m.MessageId == beforeMessageId);
+                    if (end < 0) return new List<ChatMessage>();
+                }
+
+                var page = new List<ChatMessage>();
+                for (var i = end - 1; i >= 0 && page.Count < limit; i--)
+                {
+                    if (string.Equals(_messages[i].Room, room, StringComparison.OrdinalIgnoreCase))
+                        page.Add(Snapshot(_messages[i]));
+                }
+
+                page.Reverse();
+                return page;
+            }
+        }
+
+        /// Returns up to `limit` messages of a room matching the query, newest first, each with up to `contextSize`
+        /// messages of the same room on either side.
+        public List<MessageSearchResult> Search(MessageSearchQuery query, int contextSize, int limit)
+        {
+            var terms = (query.Text ?? string.Empty)
+                .Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries);
+
+            lock (_lock)
+            {
+                var roomMessages = _messages
+                    .Where(m => string.Equals(m.Room, query.Room, StringComparison.OrdinalIgnoreCase))
+                    .ToList();
+                var copies = new Dictionary<ChatMessage, ChatMessage>();
+                ChatMessage Copy(ChatMessage m) =>
+                    copies.TryGetValue(m, out var copy) ? copy : copies[m] = Snapshot(m);
+
+                var results = new List<MessageSearchResult>();
+                for (var i = roomMessages.Count - 1; i >= 0 && results.Count < limit; i--)
+                {
+                    var message = roomMessages[i];
+
+                    if (!string.IsNullOrEmpty(query.FromUser) &&
+                        !string.Equals(message.FromUser, query.FromUser, StringComparison.OrdinalIgnoreCase))
+                        continue;
+                    if (query.Since.HasValue && message.Timestamp < query.Since.Value) continue;
+                    if (query.Until.HasValue && message.Timestamp > query.Until.Value) continue;
+                    if (!terms.All(t => message.Message.Contains(t, StringComparison.OrdinalIgnoreCase))) continue;
+
+                    var start = Math.Max(0, i - contextSize);
+                    results.Add(new MessageSearchResult
+                    {
+                        Message = Copy(message),
+                        Before = roomMessages.GetRange(start, i - start).Select(Copy).ToList(),
+                        After = roomMessages
+                            .GetRange(i + 1, Math.Min(contextSize, roomMessages.Count - i - 1))
+                            .Select(Copy)
+                            .ToList()
+                    });
+                }
+
+                return results;
+            }
+        }
+
+        /// Copies a stored message with its own reaction map, receipts and lists. Must be called under the lock.
+        private static ChatMessage Snapshot(ChatMessage message) => new()
+        {
+            Message = message.Message,
+            FromUser = message.FromUser,
+            MessageId = message.MessageId,
+            Timestamp = message.Timestamp,
+            Room = message.Room,
+            ReplyToMessageId = message.ReplyToMessageId,
+            Attachments = message.Attachments.ToList(),
+            EditedAt = message.EditedAt,
+            EditHistory = message.EditHistory.ToList(),
+            SeenBy = message.SeenBy.ToList(),
+            Reactions = message.Reactions.ToDictionary(r => r.Key, r => r.Value.ToList()),
+            ReactionsVersion = message.ReactionsVersion
+        };
+    }
+}
@@ -0,0 +1,45 @@
+﻿using Microsoft.Extensions.Options;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+using System.Text.Json;
+
+namespace SignalR_Test_2.Services
+{
+    /// Keeps each user's notification preferences in a JSON file under the content root, keyed by username.
+    public class JsonFileNotificationPreferencesStore : INotificationPreferencesStore
+    {
+        private static readonly JsonSerializerOptions SerializerOptions = new() { WriteIndented = true };
+
+        private readonly object _lock = new();
+        private readonly string _filePath;
+        private readonly Dictionary<string, NotificationPreferences> _preferences;
+
+        public JsonFileNotificationPreferencesStore(IOptions<NotificationOptions> options, IWebHostEnvironment environment)
+        {
+            _filePath = Path.Combine(environment.ContentRootPath, options.Value.PreferencesPath);
+
+            var preferences = File.Exists(_filePath)
+                ? JsonSerializer.Deserialize<Dictionary<string, NotificationPreferences>>(File.ReadAllText(_filePath)) ?? new()
+                : new Dictionary<string, NotificationPreferences>();
+            _preferences = new Dictionary<string, NotificationPreferences>(preferences, StringComparer.OrdinalIgnoreCase);
+        }
+
+        /// Returns the user's preferences, or the defaults if they never saved any.
+        public NotificationPreferences Get(string username)
+        {
+            lock (_lock)
+            {
+                return _preferences.TryGetValue(username, out var preferences) ? preferences : new NotificationPreferences();
+            }
+        }
+
+        public void Save(string username, NotificationPreferences preferences)
+        {
+            lock (_lock)
+            {
+                _preferences[username] = preferences;
+                File.WriteAllText(_filePath, JsonSerializer.Serialize(_preferences, SerializerOptions));
+            }
+        }
+    }
+}
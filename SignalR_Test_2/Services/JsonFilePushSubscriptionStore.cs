@@ -0,0 +1,72 @@
+﻿using Microsoft.Extensions.Options;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+using System.Text.Json;
+
+namespace SignalR_Test_2.Services
+{
+    /// Keeps Web Push subscriptions in a JSON file under the content root, keyed by endpoint. When a user has more
+    /// than MaxPushSubscriptionsPerUser the oldest ones are dropped.
+    public class JsonFilePushSubscriptionStore : IPushSubscriptionStore
+    {
+        private static readonly JsonSerializerOptions SerializerOptions = new() { WriteIndented = true };
+
+        private readonly object _lock = new();
+        private readonly string _filePath;
+        private readonly int _maxPerUser;
+        private readonly Dictionary<string, PushSubscriptionInfo> _subscriptions;
+
+        public JsonFilePushSubscriptionStore(IOptions<NotificationOptions> options, IWebHostEnvironment environment)
+        {
+            _filePath = Path.Combine(environment.ContentRootPath, options.Value.PushSubscriptionsPath);
+            _maxPerUser = options.Value.MaxPushSubscriptionsPerUser;
+
+            _subscriptions = File.Exists(_filePath)
+                ? JsonSerializer.Deserialize<Dictionary<string, PushSubscriptionInfo>>(File.ReadAllText(_filePath)) ?? new()
+                : new Dictionary<string, PushSubscriptionInfo>();
+        }
+
+        /// Adds a subscription, or moves an endpoint that is already known to the given user.
+        public void Save(PushSubscriptionInfo subscription)
+        {
+            lock (_lock)
+            {
+                _subscriptions[subscription.Endpoint] = subscription;
+
+                foreach (var oldest in GetForUserLocked(subscription.Username).SkipLast(_maxPerUser))
+                {
+                    _subscriptions.Remove(oldest.Endpoint);
+                }
+
+                Persist();
+            }
+        }
+
+        public bool Remove(string endpoint)
+        {
+            lock (_lock)
+            {
+                if (!_subscriptions.Remove(endpoint)) return false;
+                Persist();
+                return true;
+            }
+        }
+
+        public List<PushSubscriptionInfo> GetForUser(string username)
+        {
+            lock (_lock)
+            {
+                return GetForUserLocked(username);
+            }
+        }
+
+        private List<PushSubscriptionInfo> GetForUserLocked(string username) =>
+            _subscriptions.Values
+                .Where(s => s.Username.Equals(username, StringComparison.OrdinalIgnoreCase))
+                .OrderBy(s => s.CreatedAt)
+                .ToList();
+
+        private void Persist() =>
+            File.WriteAllText(_filePath, JsonSerializer.Serialize(_subscriptions, SerializerOptions));
+    }
+}
@@ -0,0 +1,78 @@
+﻿using Microsoft.AspNetCore.Identity;
+using Microsoft.Extensions.Options;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+using System.Text.Json;
+
+namespace SignalR_Test_2.Services
+{
+    /// Keeps registered users in a JSON file under the content root. Passwords are stored as salted
+    /// PBKDF2 hashes (ASP.NET Core Identity's PasswordHasher), never in plain text.
+    public class JsonFileUserStore : IUserStore
+    {
+        private static readonly JsonSerializerOptions SerializerOptions = new() { WriteIndented = true };
+
+        private readonly object _lock = new();
+        private readonly string _filePath;
+        private readonly PasswordHasher<UserAccount> _passwordHasher = new();
+        private readonly Dictionary<string, UserAccount> _users;
+
+        public JsonFileUserStore(IOptions<JwtOptions> options, IWebHostEnvironment environment)
+        {
+            _filePath = Path.Combine(environment.ContentRootPath, options.Value.UserStorePath);
+
+            var users = File.Exists(_filePath)
+                ? JsonSerializer.Deserialize<List<UserAccount>>(File.ReadAllText(_filePath)) ?? new()
+                : new List<UserAccount>();
+            _users = users.ToDictionary(u => u.Username, StringComparer.OrdinalIgnoreCase);
+        }
+
+        /// Creates the account, or returns null if the username is already taken.
+        public UserAccount? Register(string username, string password)
+        {
+            lock (_lock)
+            {
+                if (_users.ContainsKey(username)) return null;
+
+                var user = new UserAccount { Username = username, CreatedAt = DateTime.UtcNow };
+                user.PasswordHash = _passwordHasher.HashPassword(user, password);
+
+                _users[username] = user;
+                Save();
+                return user;
+            }
+        }
+
+        /// Returns the account if the password matches, otherwise null. Rehashes when the hasher asks for it.
+        public UserAccount? ValidateCredentials(string username, string password)
+        {
+            lock (_lock)
+            {
+                if (!_users.TryGetValue(username, out var user)) return null;
+
+                var result = _passwordHasher.VerifyHashedPassword(user, user.PasswordHash, password);
+                if (result == PasswordVerificationResult.Failed) return null;
+
+                if (result == PasswordVerificationResult.SuccessRehashNeeded)
+                {
+                    user.PasswordHash = _passwordHasher.HashPassword(user, password);
+                    Save();
+                }
+
+                return user;
+            }
+        }
+
+        /// Returns the username as it was registered, whatever the casing asked for, or null if there's no such user.
+        public string? FindUsername(string username)
+        {
+            lock (_lock)
+            {
+                return _users.TryGetValue(username, out var user) ? user.Username : null;
+            }
+        }
+
+        private void Save() =>
+            File.WriteAllText(_filePath, JsonSerializer.Serialize(_users.Values.ToList(), SerializerOptions));
+    }
+}
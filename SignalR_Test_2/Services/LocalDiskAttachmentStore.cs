@@ -0,0 +1,87 @@
+﻿using Microsoft.Extensions.Options;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+using System.Collections.Concurrent;
+
+namespace SignalR_Test_2.Services
+{
+    /// Stores uploaded files on the local disk under the configured storage path.
+    /// Files are saved under a generated name so the uploaded file name never ends up in a path.
+    public class LocalDiskAttachmentStore : IAttachmentStore
+    {
+        private readonly ConcurrentDictionary<string, Attachment> _attachments = new();
+        private readonly object _claimLock = new();
+        private readonly string _storageDirectory;
+
+        public LocalDiskAttachmentStore(IOptions<AttachmentOptions> options, IWebHostEnvironment environment)
+        {
+            _storageDirectory = Path.Combine(environment.ContentRootPath, options.Value.StoragePath);
+            Directory.CreateDirectory(_storageDirectory);
+        }
+
+        public async Task<Attachment> SaveAsync(Stream content, string fileName, string contentType, long size, string uploadedBy)
+        {
+            var attachmentId = Guid.NewGuid().ToString("N");
+            var attachment = new Attachment
+            {
+                AttachmentId = attachmentId,
+                FileName = Path.GetFileName(fileName),
+                ContentType = contentType,
+                Size = size,
+                UploadedAt = DateTime.UtcNow,
+                UploadedBy = uploadedBy,
+                StoredFileName = attachmentId + Path.GetExtension(fileName).ToLowerInvariant()
+            };
+
+            await using (var file = File.Create(GetFilePath(attachment)))
+            {
+                await content.CopyToAsync(file);
+            }
+
+            _attachments[attachmentId] = attachment;
+            return attachment;
+        }
+
+        public Attachment? Get(string attachmentId) =>
+            _attachments.TryGetValue(attachmentId, out var attachment) ? attachment : null;
+
+        /// Assigns uploads of `username` that aren't on a message yet to the message `messageId` and returns them.
+        /// Attachments uploaded by someone else or already sent with another message are left out; claiming again for
+        /// the same messageId (a resend of the message) returns them again.
+        public IReadOnlyList<Attachment> Claim(IEnumerable<string> attachmentIds, string username, string messageId)
+        {
+            lock (_claimLock)
+            {
+                var claimed = new List<Attachment>();
+                foreach (var attachmentId in attachmentIds)
+                {
+                    var attachment = Get(attachmentId);
+                    if (attachment == null ||
+                        !string.Equals(attachment.UploadedBy, username, StringComparison.OrdinalIgnoreCase) ||
+                        (attachment.MessageId != null && attachment.MessageId != messageId))
+                        continue;
+
+                    attachment.MessageId = messageId;
+                    claimed.Add(attachment);
+                }
+                return claimed;
+            }
+        }
+
+        public string GetFilePath(Attachment attachment) => Path.Combine(_storageDirectory, attachment.StoredFileName);
+
+        /// Forgets the attachment and removes its file, so its download URL stops working. Only done for the message
+        /// the attachment was sent with.
+        public void Delete(string attachmentId, string messageId)
+        {
+            lock (_claimLock)
+            {
+                if (Get(attachmentId)?.MessageId != messageId ||
+                    !_attachments.TryRemove(attachmentId, out var attachment))
+                    return;
+
+                File.Delete(GetFilePath(attachment));
+            }
+        }
+    }
+}
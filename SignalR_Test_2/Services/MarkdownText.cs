@@ -0,0 +1,23 @@
+﻿using System.Text.RegularExpressions;
+
+namespace SignalR_Test_2.Services
+{
+    /// Reduces a message's Markdown to the plain text shown in push notifications, matching what the client's
+    /// toPlainText does for in-page notifications: code, links and images keep their text, markup is dropped.
+    public static class MarkdownText
+    {
+        private static readonly (Regex Pattern, string Replacement)[] Rules =
+        {
+            (new Regex(@"```[^\n]*\n?([\s\S]*?)```", RegexOptions.Compiled), "$1"),
+            (new Regex(@"`([^`\n]+)`", RegexOptions.Compiled), "$1"),
+            (new Regex(@"!?\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)", RegexOptions.Compiled), "$1"),
+            (new Regex(@"^[ \t]{0,3}(#{1,6}[ \t]+|>[ \t]?|[-*+][ \t]+|\d+\.[ \t]+)", RegexOptions.Compiled | RegexOptions.Multiline), ""),
+            (new Regex(@"(\*\*|__)(.+?)\1", RegexOptions.Compiled), "$2"),
+            (new Regex(@"~~(.+?)~~", RegexOptions.Compiled), "$1"),
+            (new Regex(@"(^|[^\w*])[*_](?=\S)(.+?)(?<=\S)[*_](?![\w*])", RegexOptions.Compiled), "$1$2")
+        };
+
+        public static string ToPlainText(string markdown) =>
+            Rules.Aggregate(markdown, (text, rule) => rule.Pattern.Replace(text, rule.Replacement)).Trim();
+    }
+}
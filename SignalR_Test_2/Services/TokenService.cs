@@ -0,0 +1,59 @@
+﻿using Microsoft.Extensions.Options;
+using Microsoft.IdentityModel.JsonWebTokens;
+using Microsoft.IdentityModel.Tokens;
+using SignalR_Test_2.Dtos;
+using SignalR_Test_2.Models;
+using System.Security.Claims;
+using System.Security.Cryptography;
+
+namespace SignalR_Test_2.Services
+{
+    /// Issues the signed JWTs handed out by the auth endpoints and accepted by the hub and the API.
+    public class TokenService
+    {
+        private readonly JwtOptions _options;
+        private readonly SymmetricSecurityKey _signingKey;
+        private readonly JsonWebTokenHandler _tokenHandler = new();
+
+        public TokenService(IOptions<JwtOptions> options, SymmetricSecurityKey signingKey)
+        {
+            _options = options.Value;
+            _signingKey = signingKey;
+        }
+
+        public AuthResponse CreateToken(UserAccount user)
+        {
+            var expiresAt = DateTime.UtcNow.AddMinutes(_options.ExpiryMinutes);
+
+            var token = _tokenHandler.CreateToken(new SecurityTokenDescriptor
+            {
+                Issuer = _options.Issuer,
+                Audience = _options.Audience,
+                Expires = expiresAt,
+                Subject = new ClaimsIdentity(new[]
+                {
+                    new Claim(JwtRegisteredClaimNames.Sub, user.Username),
+                    new Claim(JwtRegisteredClaimNames.UniqueName, user.Username),
+                    new Claim(JwtRegisteredClaimNames.Jti, Guid.NewGuid().ToString())
+                }),
+                SigningCredentials = new SigningCredentials(_signingKey, SecurityAlgorithms.HmacSha256)
+            });
+
+            return new AuthResponse { Username = user.Username, Token = token, ExpiresAt = expiresAt };
+        }
+
+        /// Loads the signing key: the configured one if set, otherwise a random 256-bit key that is
+        /// generated once and kept in a file under the content root so tokens survive a restart.
+        public static SymmetricSecurityKey LoadSigningKey(JwtOptions options, string contentRootPath)
+        {
+            if (!string.IsNullOrWhiteSpace(options.SigningKey))
+                return new SymmetricSecurityKey(Convert.FromBase64String(options.SigningKey));
+
+            var keyPath = Path.Combine(contentRootPath, options.SigningKeyPath);
+            if (!File.Exists(keyPath))
+                File.WriteAllText(keyPath, Convert.ToBase64String(RandomNumberGenerator.GetBytes(32)));
+
+            return new SymmetricSecurityKey(Convert.FromBase64String(File.ReadAllText(keyPath).Trim()));
+        }
+    }
+}
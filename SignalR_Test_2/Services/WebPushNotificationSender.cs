@@ -0,0 +1,90 @@
+﻿using Microsoft.Extensions.Options;
+using SignalR_Test_2.Interface;
+using SignalR_Test_2.Models;
+using System.Net;
+using System.Text.Json;
+using WebPush;
+
+namespace SignalR_Test_2.Services
+{
+    /// Sends Web Push notifications to every subscribed browser of a user, signed with the server's VAPID keys.
+    /// Subscriptions the push service reports as gone are removed.
+    public class WebPushNotificationSender : IPushNotificationSender, IDisposable
+    {
+        private static readonly JsonSerializerOptions PayloadOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly IPushSubscriptionStore _subscriptionStore;
+        private readonly ILogger<WebPushNotificationSender> _logger;
+        private readonly VapidDetails _vapidDetails;
+        private readonly WebPushClient _client = new();
+
+        public WebPushNotificationSender(
+            IPushSubscriptionStore subscriptionStore,
+            IOptions<NotificationOptions> options,
+            IWebHostEnvironment environment,
+            ILogger<WebPushNotificationSender> logger)
+        {
+            _subscriptionStore = subscriptionStore;
+            _logger = logger;
+            _vapidDetails = LoadVapidDetails(options.Value, environment.ContentRootPath);
+        }
+
+        public string PublicKey => _vapidDetails.PublicKey;
+
+        /// Never throws: a failed push is logged, since the message itself has already been delivered and stored.
+        public async Task SendAsync(string username, PushNotification notification)
+        {
+            var payload = JsonSerializer.Serialize(notification, PayloadOptions);
+
+            foreach (var subscription in _subscriptionStore.GetForUser(username))
+            {
+                try
+                {
+                    await _client.SendNotificationAsync(
+                        new PushSubscription(subscription.Endpoint, subscription.P256dh, subscription.Auth),
+                        payload,
+                        _vapidDetails);
+                }
+                catch (WebPushException ex) when (ex.StatusCode is HttpStatusCode.NotFound or HttpStatusCode.Gone)
+                {
+                    _subscriptionStore.Remove(subscription.Endpoint);
+                    _logger.LogInformation("Removed expired push subscription of {Username}", username);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error sending push notification to {Username}", username);
+                }
+            }
+        }
+
+        public void Dispose() => _client.Dispose();
+
+        /// Uses the configured VAPID keys if set, otherwise a key pair that is generated once and kept in a file under
+        /// the content root, so browser subscriptions stay valid across restarts.
+        private static VapidDetails LoadVapidDetails(NotificationOptions options, string contentRootPath)
+        {
+            if (!string.IsNullOrWhiteSpace(options.VapidPublicKey) && !string.IsNullOrWhiteSpace(options.VapidPrivateKey))
+                return new VapidDetails(options.VapidSubject, options.VapidPublicKey, options.VapidPrivateKey);
+
+            var keysPath = Path.Combine(contentRootPath, options.VapidKeysPath);
+            if (!File.Exists(keysPath))
+            {
+                var generated = VapidHelper.GenerateVapidKeys();
+                File.WriteAllText(keysPath, JsonSerializer.Serialize(new VapidKeyPair
+                {
+                    PublicKey = generated.PublicKey,
+                    PrivateKey = generated.PrivateKey
+                }));
+            }
+
+            var keys = JsonSerializer.Deserialize<VapidKeyPair>(File.ReadAllText(keysPath))!;
+            return new VapidDetails(options.VapidSubject, keys.PublicKey, keys.PrivateKey);
+        }
+
+        private class VapidKeyPair
+        {
+            public string PublicKey { get; set; } = string.Empty;
+            public string PrivateKey { get; set; } = string.Empty;
+        }
+    }
+}
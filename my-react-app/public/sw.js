@@ -0,0 +1,158 @@
+// Service worker: caches the app shell so the app starts without a network,
+// shows the Web Push notifications the server sends while none of the user's
+// chat tabs is connected, and opens the chat on the message when one is
+// clicked. Messages themselves are cached by the page, in IndexedDB.
+
+// Bump to drop the old shell on the next visit.
+const SHELL_CACHE = "chat-shell-v2";
+
+const SHELL_FILES = [
+  "./",
+  "manifest.webmanifest",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// The built scripts and styles have hashed names that only index.html knows,
+// so they are read from it. The first visit loads its bundle before this
+// worker takes over, so without this an offline start would find no bundle.
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_FILES.map(scopeUrl));
+
+  const html = await (await cache.match(scopeUrl("./"))).text();
+  const assets = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map(([, path]) => new URL(path, scopeUrl("./")).href)
+    .filter((url) => url.startsWith(scopeUrl("assets/")));
+  await cache.addAll(assets);
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => k !== SHELL_CACHE).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages come from the network while it is there, falling back to the cached
+// index.html. Built assets have content hashes in their names, so a cached
+// copy is always current. Anything else, including API calls, is left alone.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches
+              .open(SHELL_CACHE)
+              .then((cache) => cache.put(scopeUrl("./"), copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(scopeUrl("./")))
+    );
+    return;
+  }
+
+  if (request.url.startsWith(scopeUrl("assets/"))) {
+    event.respondWith(
+      caches.match(request).then(
+        (cached) =>
+          cached ||
+          fetch(request).then((response) => {
+            if (response.ok) {
+              const copy = response.clone();
+              caches
+                .open(SHELL_CACHE)
+                .then((cache) => cache.put(request, copy));
+            }
+            return response;
+          })
+      )
+    );
+    return;
+  }
+
+  if (SHELL_FILES.some((path) => request.url === scopeUrl(path))) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached || fetch(request))
+    );
+  }
+});
+
+self.addEventListener("push", (event) => {
+  if (!event.data) return;
+
+  let notification;
+  try {
+    notification = event.data.json();
+  } catch {
+    notification = { title: "New Message", body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(notification.title, {
+      body: notification.body,
+      // Same tag as the in-page notification, so a message never shows twice.
+      tag: notification.messageId,
+      data: {
+        room: notification.room,
+        messageId: notification.messageId,
+        fromUser: notification.fromUser,
+      },
+    })
+  );
+});
+
+// Focuses an open chat tab and asks it to show the message, or opens a new
+// tab that picks the message up from its query string. A DM has no room and
+// opens the thread with its sender.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { room, messageId, fromUser } = event.notification.data || {};
+  const directUser = room ? null : fromUser;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) => {
+        const chat = windows.find((w) =>
+          w.url.startsWith(self.registration.scope)
+        );
+        if (chat) {
+          chat.postMessage({
+            type: "open-message",
+            room,
+            messageId,
+            directUser,
+          });
+          return chat.focus();
+        }
+
+        const url = new URL(self.registration.scope);
+        if (room && messageId) {
+          url.searchParams.set("room", room);
+          url.searchParams.set("message", messageId);
+        } else if (directUser) {
+          url.searchParams.set("dm", directUser);
+        }
+        return self.clients.openWindow(url.href);
+      })
+  );
+});
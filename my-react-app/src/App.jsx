@@ -1,5 +1,11 @@
-import React, { useState, useEffect, useRef, useCallback } from "react";
-import * as signalR from "@microsoft/signalr";
+import React, {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useCallback,
+  useMemo,
+} from "react";
 import {
   Send,
   Users,
@@ -8,39 +14,779 @@ import {
   Check,
   CheckCheck,
   Bell,
+  Pencil,
+  Trash2,
+  CornerUpLeft,
+  MessageSquare,
+  Paperclip,
+  FileText,
+  ArrowLeft,
+  Hash,
+  Plus,
+  X,
+  Clock,
+  BellOff,
+  ChevronUp,
+  AtSign,
+  Settings,
+  Lock,
+  Unlock,
 } from "lucide-react";
+import EmojiPicker, { EmojiStyle } from "emoji-picker-react";
+import { useChat } from "./chat/useChat";
+import { MessageMarkdown } from "./chat/markdown";
+import { toPlainText } from "./chat/markdownText";
+import { NotificationSettings } from "./chat/NotificationSettings";
+import { EncryptionPanel } from "./chat/EncryptionPanel";
+import { useEncryptionKeys } from "./chat/useEncryptionKeys";
+import { SearchPanel } from "./chat/SearchPanel";
+import {
+  EMPTY_SEARCH,
+  hasSearchFilters,
+  searchRoomMessages,
+  searchLoadedMessages,
+} from "./chat/search";
+import {
+  saveConversation,
+  loadLastConversation,
+  clearConversations,
+} from "./chat/messageCache";
+import { isEncryptedText } from "./chat/e2e";
+import { config } from "./config";
+import { isPushSupported, subscribeToPush } from "./push";
+
+const HISTORY_PAGE_SIZE = 50;
+const DEFAULT_ROOM = "general";
+// Mirrors the server's Attachments settings so oversized files fail fast.
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const ROOM_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+// No input for this long (or a hidden tab) reports the user as away.
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const DND_STORAGE_KEY = "chatAppDoNotDisturb";
+const SEARCH_DEBOUNCE_MS = 300;
+// How long "You already sent that message" stays up.
+const DUPLICATE_NOTICE_MS = 4000;
+
+const BASE_TITLE = document.title;
+
+// Mirrors the server's NotificationPreferences defaults. Quiet hours are
+// minutes after midnight and may wrap past it.
+const DEFAULT_NOTIFICATION_PREFS = {
+  muteAll: false,
+  mutedRooms: [],
+  mutedUsers: [],
+  quietHoursEnabled: false,
+  quietHoursStart: 22 * 60,
+  quietHoursEnd: 7 * 60,
+  timeZone: null,
+  sound: true,
+  mentionsOnly: false,
+  showPreviews: true,
+};
+
+const PRESENCE_COLORS = {
+  online: "#10b981",
+  away: "#f59e0b",
+  dnd: "#ef4444",
+  offline: "#9ca3af",
+};
+
+const formatTime = (date) =>
+  date.toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// "just now", "5m ago", "3h ago" or "2d ago".
+const formatTimeAgo = (date, now) => {
+  const minutes = Math.floor((now - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / (24 * 60))}d ago`;
+};
+
+const describePresence = (user, now) => {
+  switch (user.status) {
+    case "away":
+      return user.lastSeen
+        ? `Away · ${formatTimeAgo(user.lastSeen, now)}`
+        : "Away";
+    case "dnd":
+      return "Do not disturb";
+    case "offline":
+      return user.lastSeen
+        ? `Last seen ${formatTimeAgo(user.lastSeen, now)}`
+        : "Offline";
+    default:
+      return "Online";
+  }
+};
+
+// A message counts as unread until the user has marked it seen.
+const isUnreadBy = (msg, user) =>
+  msg.user !== user &&
+  !msg.isSystem &&
+  !msg.isDeleted &&
+  !(msg.seenBy || []).includes(user);
+
+const countUnread = (messagesByConversation, user) =>
+  Object.fromEntries(
+    Object.entries(messagesByConversation).map(([key, list]) => [
+      key,
+      list.filter((m) => isUnreadBy(m, user)).length,
+    ])
+  );
+
+// Maps a message from the server history API to the shape used in state.
+const toChatMessage = (stored) => {
+  const sentAt = new Date(stored.timestamp);
+  return {
+    id: stored.messageId,
+    user: stored.fromUser,
+    text: stored.message,
+    timestamp: formatTime(sentAt),
+    sentAt: sentAt.getTime(),
+    editedAt: stored.editedAt ? new Date(stored.editedAt).getTime() : null,
+    editHistory: (stored.editHistory || []).map((revision) => ({
+      text: revision.message,
+      editedAt: new Date(revision.editedAt).getTime(),
+    })),
+    replyTo: stored.replyToMessageId || null,
+    attachments: stored.attachments || [],
+    reactions: stored.reactions || {},
+    reactionsVersion: stored.reactionsVersion || 0,
+    seenBy: (stored.seenBy || []).map((receipt) => receipt.username),
+    seenAt: Object.fromEntries(
+      (stored.seenBy || []).map((receipt) => [
+        receipt.username,
+        new Date(receipt.seenAt).getTime(),
+      ])
+    ),
+    isSent: true,
+  };
+};
+
+// Reactions are { [emoji]: [usernames] }. Adds or removes one user's reaction
+// with one emoji.
+const applyReaction = (reactions, emoji, user, added) => {
+  const users = reactions[emoji] || [];
+  if (users.includes(user) === added) return reactions;
+
+  const updated = added ? [...users, user] : users.filter((u) => u !== user);
+  const next = { ...reactions, [emoji]: updated };
+  if (updated.length === 0) delete next[emoji];
+  return next;
+};
+
+// Adds the incoming messages that aren't in state yet and keeps the list in send order.
+const mergeMessages = (current, incoming) => {
+  const knownIds = new Set(current.map((m) => m.id));
+  const added = incoming.filter((m) => !knownIds.has(m.id));
+  if (added.length === 0) return current;
+  return [...current, ...added].sort((a, b) => a.sentAt - b.sentAt);
+};
+
+const deletedMessage = (msg) => ({
+  ...msg,
+  text: "",
+  isDeleted: true,
+  editHistory: [],
+  reactions: {},
+  seenBy: [],
+});
+
+// Brings a room up to date with its latest page of stored history, oldest
+// first, e.g. after a reconnect. Known messages take the server's copy, so
+// edits, reactions and seen-by changes made meanwhile show up. Messages the
+// page should contain but doesn't were deleted: those from the oldest one it
+// shares with `current` (or all, when `isComplete` says the page starts at the
+// room's first message) up to `requestedAt`, when the page was asked for.
+// Messages still in the outbox keep their local copy.
+const applyHistoryPage = (current, page, isComplete, requestedAt) => {
+  const stored = new Map(page.map((m) => [m.id, m]));
+  const firstShared = current.findIndex((m) => stored.has(m.id));
+  const coveredFrom = isComplete
+    ? 0
+    : firstShared === -1
+    ? Infinity
+    : firstShared;
+
+  const refreshed = current.map((msg, index) => {
+    if (msg.pending || msg.failed || msg.isSystem) return msg;
+
+    const copy = stored.get(msg.id);
+    if (copy) {
+      stored.delete(msg.id);
+      // A live update newer than the page wins.
+      return (msg.reactionsVersion || 0) > copy.reactionsVersion
+        ? {
+            ...copy,
+            reactions: msg.reactions,
+            reactionsVersion: msg.reactionsVersion,
+          }
+        : copy;
+    }
+    return !msg.isDeleted && index >= coveredFrom && msg.sentAt < requestedAt
+      ? deletedMessage(msg)
+      : msg;
+  });
+
+  return [...refreshed, ...stored.values()].sort((a, b) => a.sentAt - b.sentAt);
+};
+
+const NO_MESSAGES = [];
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const attachmentUrl = (attachment) =>
+  `${config.apiBaseUrl}/api/attachments/${attachment.attachmentId}`;
+
+// Messages that haven't reached the server yet, kept per user so they survive
+// a reload. Entries are { message, room, toUser } in send order.
+const outboxKey = (user) => `chatAppOutbox:${user}`;
+
+const loadOutbox = (user) => {
+  try {
+    return JSON.parse(localStorage.getItem(outboxKey(user))) || [];
+  } catch {
+    return [];
+  }
+};
+
+const saveOutbox = (user, entries) => {
+  if (entries.length > 0) {
+    localStorage.setItem(outboxKey(user), JSON.stringify(entries));
+  } else {
+    localStorage.removeItem(outboxKey(user));
+  }
+};
+
+// DM partners the user turned end-to-end encryption on for, per user.
+const encryptedChatsKey = (user) => `chatAppEncryptedChats:${user}`;
+
+const loadEncryptedChats = (user) => {
+  try {
+    return JSON.parse(localStorage.getItem(encryptedChatsKey(user))) || [];
+  } catch {
+    return [];
+  }
+};
+
+const authHeaders = (token) => ({ Authorization: `Bearer ${token}` });
+
+// Reads the token's exp claim so an expired token isn't used to reconnect.
+// Not a verification; the server checks the signature.
+const isTokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(
+      atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    return payload.exp * 1000 <= Date.now();
+  } catch {
+    return true;
+  }
+};
+
+// Signs in or registers ("login" | "register") and returns
+// { username, token, expiresAt }.
+const requestToken = async (mode, username, password) => {
+  const response = await fetch(`${config.apiBaseUrl}/api/auth/${mode}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `Sign in failed with ${response.status}`);
+  }
+  return body;
+};
+
+const requestNotificationPrefs = async (token) => {
+  const response = await fetch(
+    `${config.apiBaseUrl}/api/notifications/preferences`,
+    { headers: authHeaders(token) }
+  );
+  if (!response.ok) {
+    throw new Error(`Preferences request failed with ${response.status}`);
+  }
+  return { ...DEFAULT_NOTIFICATION_PREFS, ...(await response.json()) };
+};
+
+const saveNotificationPrefs = async (prefs, token) => {
+  const response = await fetch(
+    `${config.apiBaseUrl}/api/notifications/preferences`,
+    {
+      method: "PUT",
+      headers: { ...authHeaders(token), "Content-Type": "application/json" },
+      body: JSON.stringify(prefs),
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Saving preferences failed with ${response.status}`);
+  }
+};
+
+const isInQuietHours = (prefs, now) => {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const { quietHoursStart: start, quietHoursEnd: end } = prefs;
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+// Whether a message should raise a desktop notification. Mentions get through
+// a muted room and mentions-only mode, but not a muted sender or quiet hours.
+const shouldNotify = (prefs, { fromUser, room, isMention }) =>
+  !prefs.muteAll &&
+  !prefs.mutedUsers.includes(fromUser) &&
+  (isMention || !room || !prefs.mutedRooms.includes(room)) &&
+  (isMention || !prefs.mentionsOnly) &&
+  !(prefs.quietHoursEnabled && isInQuietHours(prefs, new Date()));
+
+// A short two-tone chime, generated so no sound file has to be served.
+const playNotificationSound = () => {
+  try {
+    const audio = new AudioContext();
+    [880, 660].forEach((frequency, i) => {
+      const oscillator = audio.createOscillator();
+      const gain = audio.createGain();
+      const start = audio.currentTime + i * 0.12;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+      oscillator.connect(gain).connect(audio.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.2);
+    });
+    setTimeout(() => audio.close(), 1000);
+  } catch (err) {
+    console.error("Failed to play notification sound:", err);
+  }
+};
+
+// Uploads one file to the attachments endpoint. XHR rather than fetch so the
+// upload progress can be reported.
+const uploadAttachment = (file, token, onProgress) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const formData = new FormData();
+    formData.append("file", file);
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      let body = null;
+      try {
+        body = JSON.parse(xhr.responseText);
+      } catch {
+        // Non-JSON error pages fall through to the status check below.
+      }
+      if (xhr.status >= 200 && xhr.status < 300 && body) {
+        resolve(body);
+      } else {
+        reject(new Error(body?.error || `Upload failed with ${xhr.status}`));
+      }
+    };
+    xhr.onerror = () => reject(new Error("Upload failed"));
+
+    xhr.open("POST", `${config.apiBaseUrl}/api/attachments`);
+    xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+    xhr.send(formData);
+  });
+
+// Inline thumbnails for images and download chips for other files.
+const AttachmentList = ({ attachments, isOwn }) => (
+  <div
+    style={{ display: "flex", flexWrap: "wrap", gap: "6px", marginTop: "6px" }}
+  >
+    {attachments.map((attachment) =>
+      attachment.contentType.startsWith("image/") ? (
+        <a
+          key={attachment.attachmentId}
+          href={attachmentUrl(attachment)}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          <img
+            src={attachmentUrl(attachment)}
+            alt={attachment.fileName}
+            style={{
+              maxWidth: "240px",
+              maxHeight: "180px",
+              borderRadius: "8px",
+              display: "block",
+            }}
+          />
+        </a>
+      ) : (
+        <a
+          key={attachment.attachmentId}
+          href={attachmentUrl(attachment)}
+          download={attachment.fileName}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            padding: "6px 10px",
+            borderRadius: "8px",
+            backgroundColor: isOwn ? "rgba(255,255,255,0.2)" : "#f3f4f6",
+            color: "inherit",
+            fontSize: "13px",
+            textDecoration: "none",
+          }}
+        >
+          <FileText size={16} />
+          <span>{attachment.fileName}</span>
+          <span style={{ opacity: 0.7 }}>
+            {formatFileSize(attachment.size)}
+          </span>
+        </a>
+      )
+    )}
+  </div>
+);
+
+// The "@partial" being typed right before the caret, if any, and where its
+// "@" starts.
+const findMentionQuery = (text, caret) => {
+  const match = /(^|\s)@([A-Za-z0-9_.-]{0,32})$/.exec(text.slice(0, caret));
+  return match ? { start: caret - match[2].length - 1, query: match[2] } : null;
+};
+
+const MAX_MENTION_SUGGESTIONS = 6;
+
+// Time only for today, otherwise date and time.
+const formatSeenAt = (time) => {
+  const date = new Date(time);
+  return date.toDateString() === new Date().toDateString()
+    ? formatTime(date)
+    : date.toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+};
+
+// Who has seen one of the user's messages, in the order they saw it.
+// `audience` is everyone else in the conversation, so the people who haven't
+// seen it yet can be listed too.
+const ReadReceipts = ({ msg, audience, currentUser }) => {
+  const readers = (msg.seenBy || [])
+    .filter((user) => user !== currentUser)
+    .map((user) => ({ user, seenAt: msg.seenAt?.[user] }))
+    .sort((a, b) => (a.seenAt || 0) - (b.seenAt || 0));
+  const notSeen = audience.filter((u) => !readers.some((r) => r.user === u));
+
+  return (
+    <div
+      onClick={(e) => e.stopPropagation()}
+      style={{
+        position: "absolute",
+        bottom: "calc(100% + 6px)",
+        right: 0,
+        minWidth: "180px",
+        maxHeight: "220px",
+        overflowY: "auto",
+        padding: "8px 10px",
+        backgroundColor: "white",
+        color: "#1f2937",
+        borderRadius: "8px",
+        boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
+        fontSize: "12px",
+        textAlign: "left",
+        cursor: "default",
+        zIndex: 15,
+      }}
+    >
+      <div style={{ fontWeight: "600", marginBottom: "4px" }}>
+        {readers.length === 0
+          ? "Not seen yet"
+          : `Seen by ${readers.length}${
+              audience.length > 1 ? ` of ${audience.length}` : ""
+            }`}
+      </div>
+      {readers.map(({ user, seenAt }) => (
+        <div
+          key={user}
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            gap: "12px",
+            padding: "2px 0",
+          }}
+        >
+          <span>{user}</span>
+          <span style={{ color: "#9ca3af" }}>
+            {seenAt ? formatSeenAt(seenAt) : ""}
+          </span>
+        </div>
+      ))}
+      {readers.length > 0 && notSeen.length > 0 && (
+        <div style={{ marginTop: "6px", color: "#9ca3af" }}>
+          Not seen yet: {notSeen.join(", ")}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Quoted preview of the message a reply answers, shown above the reply text.
+const QuotedMessage = ({ original, isOwn, onClick }) => (
+  <div
+    onClick={onClick}
+    title={original ? "Jump to original message" : undefined}
+    style={{
+      marginBottom: "6px",
+      padding: "6px 10px",
+      borderLeft: `3px solid ${isOwn ? "rgba(255,255,255,0.7)" : "#667eea"}`,
+      borderRadius: "4px",
+      backgroundColor: isOwn ? "rgba(255,255,255,0.15)" : "#f3f4f6",
+      fontSize: "13px",
+      cursor: original ? "pointer" : "default",
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    }}
+  >
+    {!original ? (
+      <em>Original message not loaded</em>
+    ) : original.isDeleted ? (
+      <em>Message deleted</em>
+    ) : (
+      <>
+        <strong>{original.user}</strong>: {toPlainText(original.text)}
+      </>
+    )}
+  </div>
+);
 
 const ChatApp = () => {
   const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [authError, setAuthError] = useState("");
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [message, setMessage] = useState("");
-  const [messages, setMessages] = useState([]);
+  const [roomMessages, setRoomMessages] = useState({});
+  const [rooms, setRooms] = useState([]);
+  const [activeRoom, setActiveRoom] = useState(DEFAULT_ROOM);
   const [connectedUsers, setConnectedUsers] = useState([]);
-  const [connection, setConnection] = useState(null);
-  const [typingUsers, setTypingUsers] = useState([]);
+  const [typingUsers, setTypingUsers] = useState({});
   const [isConnecting, setIsConnecting] = useState(false);
-  const [connectionStatus, setConnectionStatus] = useState("disconnected");
   const [showEmojiPicker, setShowEmojiPicker] = useState(null);
-  const [hasNewNotification, setHasNewNotification] = useState(false);
+  const [fullEmojiPickerFor, setFullEmojiPickerFor] = useState(null);
+  const [receiptsMessageId, setReceiptsMessageId] = useState(null);
+  const [notificationPrefs, setNotificationPrefs] = useState(
+    DEFAULT_NOTIFICATION_PREFS
+  );
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [encryptedChats, setEncryptedChats] = useState([]);
+  const [isEncryptionPanelOpen, setIsEncryptionPanelOpen] = useState(false);
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  // Set while showing the cached conversation after starting without a
+  // network: { savedAt } of the cached copy, or null if nothing was cached.
+  const [offlineView, setOfflineView] = useState(null);
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    typeof Notification === "undefined"
+      ? "unsupported"
+      : Notification.permission
+  );
+  const [exhaustedRooms, setExhaustedRooms] = useState({});
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const [directMessages, setDirectMessages] = useState({});
+  const [activeDirectUser, setActiveDirectUser] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [expandedHistoryId, setExpandedHistoryId] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadRootId, setThreadRootId] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [isAway, setIsAway] = useState(false);
+  const [doNotDisturb, setDoNotDisturb] = useState(
+    () => localStorage.getItem(DND_STORAGE_KEY) === "true"
+  );
+  const [now, setNow] = useState(Date.now());
+  const [unreadMarkerId, setUnreadMarkerId] = useState(null);
+  const [isUnreadMarkerOffscreen, setIsUnreadMarkerOffscreen] = useState(false);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchError, setSearchError] = useState("");
+  const [isSearching, setIsSearching] = useState(false);
+  const [mentionSearch, setMentionSearch] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  // The last call the server refused for going too fast or repeating a
+  // message: { action, reason, until }. Cleared once `until` has passed.
+  const [rateLimitNotice, setRateLimitNotice] = useState(null);
+  const [rateLimitClock, setRateLimitClock] = useState(Date.now());
 
   const typingTimeoutRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+  const lastScrollTopRef = useRef(0);
+  const scrollRestoreRef = useRef(null);
+  const isLoadingOlderRef = useRef(false);
   const emojiPickerRef = useRef(null);
-  const pingIntervalRef = useRef(null);
   const seenMessagesRef = useRef(new Set());
   const isConnectedRef = useRef(false);
+  const activeDirectUserRef = useRef(null);
+  const activeRoomRef = useRef(DEFAULT_ROOM);
+  const typingRoomRef = useRef(null);
+  const highlightTimeoutRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const tokenRef = useRef(null);
+  const outboxRef = useRef([]);
+  const isFlushingOutboxRef = useRef(false);
+  const pendingJumpRef = useRef(null);
+  const pushEndpointRef = useRef(null);
+  // Why the server refused a message (messageId -> "rate" or "duplicate"),
+  // read by the outbox when the send call fails.
+  const refusedMessagesRef = useRef(new Map());
+  const openRoomMessageRef = useRef(null);
+  const openDirectChatRef = useRef(null);
+  const messageInputRef = useRef(null);
 
   const emojis = ["👍", "❤️", "😂", "😮", "😢", "🙏", "👏", "🔥"];
 
   const USERNAME_STORAGE_KEY = "chatAppUsername";
+  const TOKEN_STORAGE_KEY = "chatAppToken";
   const SESSION_ID_KEY = "browserSessionId";
 
+  const messages = roomMessages[activeRoom] || NO_MESSAGES;
+  const activeRoomInfo = rooms.find((r) => r.name === activeRoom);
+  const joinedRooms = rooms.filter((r) => r.members.includes(username));
+  const otherRooms = rooms.filter((r) => !r.members.includes(username));
+
+  // The open DM thread replaces the room conversation in the message list.
+  const visibleMessages = activeDirectUser
+    ? directMessages[activeDirectUser] || NO_MESSAGES
+    : messages;
+
+  const unreadRooms = countUnread(roomMessages, username);
+  const unreadDirect = countUnread(directMessages, username);
+  const totalUnread = [
+    ...Object.values(unreadRooms),
+    ...Object.values(unreadDirect),
+  ].reduce((sum, count) => sum + count, 0);
+
+  // Everyone the user can mention: connected and recently seen users, DM
+  // partners and anyone who wrote in a loaded room.
+  const knownUsers = useMemo(
+    () =>
+      [
+        ...new Set([
+          ...connectedUsers.map((u) => u.username),
+          ...Object.keys(directMessages),
+          ...Object.values(roomMessages)
+            .flat()
+            .filter((m) => !m.isSystem)
+            .map((m) => m.user),
+        ]),
+      ]
+        .filter((name) => name !== username)
+        .sort((a, b) => a.localeCompare(b)),
+    [connectedUsers, directMessages, roomMessages, username]
+  );
+  // Rebuilt only when the names change, so rendered messages stay memoized.
+  const mentionableNames = [...knownUsers, username]
+    .map((name) => name.toLowerCase())
+    .join("\n");
+  const mentionables = useMemo(
+    () => new Set(mentionableNames.split("\n")),
+    [mentionableNames]
+  );
+  const mentionSuggestions = mentionSearch
+    ? knownUsers
+        .filter((name) =>
+          name.toLowerCase().startsWith(mentionSearch.query.toLowerCase())
+        )
+        .slice(0, MAX_MENTION_SUGGESTIONS)
+    : [];
+
+  const activeTypingUsers = activeDirectUser
+    ? NO_MESSAGES
+    : typingUsers[activeRoom] || NO_MESSAGES;
+
+  // Replies to each message in the open conversation, for the thread links.
+  const repliesByMessage = visibleMessages.reduce((acc, msg) => {
+    if (msg.replyTo) {
+      (acc[msg.replyTo] = acc[msg.replyTo] || []).push(msg);
+    }
+    return acc;
+  }, {});
+  const threadRoot = threadRootId
+    ? visibleMessages.find((m) => m.id === threadRootId)
+    : null;
+
+  const readyUploads = pendingUploads.filter((u) => u.attachment);
+  const isUploading = pendingUploads.some((u) => !u.attachment && !u.error);
+  const isSendCoolingDown =
+    rateLimitNotice?.action === "message" && rateLimitNotice.reason === "rate";
+  const cooldownSeconds = rateLimitNotice
+    ? Math.max(1, Math.ceil((rateLimitNotice.until - rateLimitClock) / 1000))
+    : 0;
+  // Sending works offline too: the message waits in the outbox.
+  const canSend =
+    (message.trim() || readyUploads.length > 0) &&
+    !isUploading &&
+    !isSendCoolingDown;
+
+  // The server holds DMs to offline users until they connect again.
+  const isPartnerOffline =
+    !!activeDirectUser &&
+    connectedUsers.find((u) => u.username === activeDirectUser)?.status ===
+      "offline";
+
+  // Room-scoped hub calls take the room name, or "@user" for a DM thread.
+  const conversationKey = activeDirectUser
+    ? `@${activeDirectUser}`
+    : activeRoom;
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
   useEffect(() => {
-    scrollToBottom();
+    activeDirectUserRef.current = activeDirectUser;
+  }, [activeDirectUser]);
+
+  useEffect(() => {
+    activeRoomRef.current = activeRoom;
+  }, [activeRoom]);
+
+  // Fall back to the default room if the active one was left (e.g. in another tab).
+  useEffect(() => {
+    if (
+      rooms.length > 0 &&
+      !rooms.some((r) => r.name === activeRoom && r.members.includes(username))
+    ) {
+      setActiveRoom(DEFAULT_ROOM);
+    }
+  }, [rooms, activeRoom, username]);
+
+  // Only follow the conversation when a new message arrives at the bottom, so
+  // prepending older pages or updating reactions doesn't jump the list.
+  useEffect(() => {
+    const lastMessageId = visibleMessages[visibleMessages.length - 1]?.id;
+    if (lastMessageId !== lastMessageIdRef.current) {
+      lastMessageIdRef.current = lastMessageId;
+      scrollToBottom();
+    }
+  }, [visibleMessages]);
+
+  // Keeps the same messages in view after an older page is prepended.
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (container && scrollRestoreRef.current !== null) {
+      container.scrollTop = container.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+    }
   }, [messages]);
 
   useEffect(() => {
@@ -56,254 +802,859 @@ const ChatApp = () => {
     return () => document.removeEventListener("mousedown", handleClickOutside);
   }, []);
 
-  useEffect(() => {
-    if (!connection || messages.length === 0 || !isLoggedIn) return;
-
-    const observer = new IntersectionObserver(
-      (entries) => {
-        entries.forEach((entry) => {
-          if (entry.isIntersecting) {
-            const messageId = entry.target.dataset.messageId;
-            const messageUser = entry.target.dataset.messageUser;
+  // Applies an update to a message wherever it lives: a room or a DM thread.
+  const updateMessage = useCallback((messageId, update) => {
+    const apply = (list) =>
+      list.map((msg) => (msg.id === messageId ? update(msg) : msg));
+    const applyAll = (conversations) =>
+      Object.fromEntries(
+        Object.entries(conversations).map(([key, list]) => [key, apply(list)])
+      );
+    setRoomMessages(applyAll);
+    setDirectMessages(applyAll);
+  }, []);
 
-            if (
-              messageId &&
-              messageUser &&
-              messageUser !== username &&
-              !seenMessagesRef.current.has(messageId)
-            ) {
-              seenMessagesRef.current.add(messageId);
-              connection
-                .invoke("MarkMessageAsSeen", messageId, username)
-                .catch((err) =>
-                  console.error("Failed to mark message as seen:", err)
-                );
-            }
-          }
-        });
-      },
-      { threshold: 0.5 }
-    );
+  const addRoomMessages = useCallback((room, incoming) => {
+    setRoomMessages((prev) => {
+      const current = prev[room] || [];
+      const merged = mergeMessages(current, incoming);
+      return merged === current ? prev : { ...prev, [room]: merged };
+    });
+  }, []);
 
-    const messageElements = document.querySelectorAll("[data-message-id]");
-    messageElements.forEach((el) => observer.observe(el));
+  const loadLatestMessages = useCallback(async (room) => {
+    const requestedAt = Date.now();
+    try {
+      const response = await fetch(
+        `${config.apiBaseUrl}/api/chat/messages?room=${encodeURIComponent(
+          room
+        )}&limit=${HISTORY_PAGE_SIZE}`,
+        { headers: authHeaders(tokenRef.current) }
+      );
+      if (!response.ok) {
+        throw new Error(`History request failed with ${response.status}`);
+      }
+      const history = await response.json();
+      const isComplete = history.length < HISTORY_PAGE_SIZE;
+      if (isComplete) {
+        setExhaustedRooms((prev) => ({ ...prev, [room]: true }));
+      }
+      setRoomMessages((prev) => ({
+        ...prev,
+        [room]: applyHistoryPage(
+          prev[room] || [],
+          history.map(toChatMessage),
+          isComplete,
+          requestedAt
+        ),
+      }));
+    } catch (err) {
+      console.error(`Failed to load message history for #${room}:`, err);
+    }
+  }, []);
 
-    return () => observer.disconnect();
-  }, [messages, connection, username, isLoggedIn]);
+  // Refreshes the room list and the latest history of every joined room.
+  const syncRooms = useCallback(
+    async (chatClient, user) => {
+      try {
+        const roomList = await chatClient.getRooms();
+        setRooms(roomList);
+        roomList
+          .filter((r) => r.members.includes(user))
+          .forEach((r) => loadLatestMessages(r.name));
+      } catch (err) {
+        console.error("Failed to load rooms:", err);
+      }
+    },
+    [loadLatestMessages]
+  );
 
-  const connectToHub = useCallback(async (user) => {
-    if (isConnectedRef.current) {
-      console.log("Already connected, skipping duplicate connection");
-      return null;
+  const loadOlderMessages = async () => {
+    if (
+      isLoadingOlderRef.current ||
+      exhaustedRooms[activeRoom] ||
+      activeDirectUser
+    ) {
+      return;
     }
 
-    isConnectedRef.current = true;
+    const room = activeRoom;
 
-    setIsConnecting(true);
-    setConnectionStatus("connecting");
+    // System, unsent and deleted messages aren't in the server history, so
+    // they can't be a cursor.
+    const oldest = messages.find(
+      (m) => !m.isSystem && !m.failed && !m.pending && !m.isDeleted
+    );
+    if (!oldest) return;
 
-    if (Notification.permission === "default") {
-      Notification.requestPermission();
-    }
+    isLoadingOlderRef.current = true;
+    setIsLoadingOlder(true);
 
     try {
-      let browserSessionId = localStorage.getItem(SESSION_ID_KEY);
-      if (!browserSessionId) {
-        browserSessionId = crypto.randomUUID();
-        localStorage.setItem(SESSION_ID_KEY, browserSessionId);
+      const response = await fetch(
+        `${config.apiBaseUrl}/api/chat/messages?room=${encodeURIComponent(
+          room
+        )}&before=${encodeURIComponent(oldest.id)}&limit=${HISTORY_PAGE_SIZE}`,
+        { headers: authHeaders(tokenRef.current) }
+      );
+      if (!response.ok) {
+        throw new Error(`History request failed with ${response.status}`);
+      }
+      const page = await response.json();
+      if (page.length < HISTORY_PAGE_SIZE) {
+        setExhaustedRooms((prev) => ({ ...prev, [room]: true }));
       }
 
-      const deviceType = /Mobi|Android|iPhone/i.test(navigator.userAgent)
-        ? "mobile"
-        : "web";
-
-      const newConnection = new signalR.HubConnectionBuilder()
-        .withUrl(
-          `https://localhost:7245/chatHub?username=${encodeURIComponent(
-            user
-          )}&deviceType=${deviceType}&sessionId=${encodeURIComponent(
-            browserSessionId
-          )}`
-        )
-        .withAutomaticReconnect({
-          nextRetryDelayInMilliseconds: (retryContext) => {
-            if (retryContext.elapsedMilliseconds < 60000) {
-              return Math.min(
-                1000 * Math.pow(2, retryContext.previousRetryCount),
-                30000
-              );
-            }
-            return null;
-          },
-        })
-        .configureLogging(signalR.LogLevel.Information)
-        .build();
+      const container = messagesContainerRef.current;
+      if (container) {
+        scrollRestoreRef.current = container.scrollHeight - container.scrollTop;
+      }
+      addRoomMessages(room, page.map(toChatMessage));
+    } catch (err) {
+      console.error("Failed to load older messages:", err);
+    } finally {
+      isLoadingOlderRef.current = false;
+      setIsLoadingOlder(false);
+    }
+  };
 
-      newConnection.onreconnecting(() => {
-        setConnectionStatus("reconnecting");
-        console.log("Reconnecting...");
-      });
+  const handleMessagesScroll = (e) => {
+    const { scrollTop } = e.currentTarget;
+    const isScrollingUp = scrollTop < lastScrollTopRef.current;
+    lastScrollTopRef.current = scrollTop;
+    updateUnreadMarkerVisibility();
 
-      newConnection.onreconnected(() => {
-        setConnectionStatus("connected");
-        console.log("Reconnected successfully");
-      });
+    if (isScrollingUp && scrollTop < 80) {
+      loadOlderMessages();
+    }
+  };
 
-      newConnection.onclose((error) => {
-        setConnectionStatus("disconnected");
-        isConnectedRef.current = false;
-        if (error) {
-          console.error("Connection closed with error:", error);
-        }
-      });
+  // Drops a token the server no longer accepts and goes back to sign in.
+  const endExpiredSession = useCallback(() => {
+    tokenRef.current = null;
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    localStorage.removeItem(USERNAME_STORAGE_KEY);
+    setAuthError("Your session has expired. Please sign in again.");
+    setIsLoggedIn(false);
+  }, []);
 
-      // Always setup listeners for new connection
-      newConnection.on("ReceiveMessage", (fromUser, msg, messageId) => {
-          setMessages((prev) => {
-            if (prev.some((m) => m.id === messageId)) {
-              return prev;
+  // Handlers for ChatClient events; useChat always calls the latest ones.
+  const { client: chatClient, status: connectionStatus, connect, disconnect } =
+    useChat({
+      status: ({ status, error }, client) => {
+        if (status === "connected") {
+          syncRooms(client, username);
+          flushOutbox(client, username);
+        } else if (status === "reconnecting") {
+          console.log("Reconnecting...");
+        } else if (status === "disconnected") {
+          isConnectedRef.current = false;
+          if (error) {
+            console.error("Connection closed with error:", error);
+            if (tokenRef.current && isTokenExpired(tokenRef.current)) {
+              endExpiredSession();
             }
-            return [
-              ...prev,
-              {
-                id: messageId,
-                user: fromUser,
-                text: msg,
-                timestamp: new Date().toLocaleTimeString([], {
-                  hour: "2-digit",
-                  minute: "2-digit",
-                }),
-                reactions: {},
-                seenBy: [],
-                isSent: true,
-              },
-            ];
-          });
-        });
+          }
+        }
+      },
 
-        newConnection.on(
-          "ReceiveNotification",
-          (fromUser, message, messageId) => {
-            setHasNewNotification(true);
+      message: ({ id, user, text, room, replyTo, attachments }) => {
+        addRoomMessages(room, [
+          {
+            id,
+            user,
+            text,
+            replyTo,
+            attachments,
+            timestamp: formatTime(new Date()),
+            sentAt: Date.now(),
+            reactions: {},
+            seenBy: [],
+            isSent: true,
+          },
+        ]);
+      },
 
-            if (document.hidden && Notification.permission === "granted") {
-              new Notification("New Message", {
-                body: `${fromUser}: ${message.substring(0, 50)}${
-                  message.length > 50 ? "..." : ""
-                }`,
-              });
-            }
-          }
-        );
+      privateMessage: async (
+        { id, fromUser, toUser, text, sentAt },
+        client
+      ) => {
+        const partner = fromUser === username ? toUser : fromUser;
+        // Held DMs arrive after a reconnect, later than they were sent.
+        const sentTime = sentAt ? new Date(sentAt) : new Date();
+        const encrypted = isEncryptedText(text);
+        const plainText = encrypted
+          ? await decryptDirectText(client, fromUser, text)
+          : text;
 
-        newConnection.on("NotifyNewUser", (newUser) => {
-          setMessages((prev) => [
-            ...prev,
+        setDirectMessages((prev) => {
+          const thread = prev[partner] || [];
+          const merged = mergeMessages(thread, [
             {
-              id: `system-${Date.now()}-${Math.random()}`,
-              user: "System",
-              text: `${newUser} joined the chat`,
-              isSystem: true,
-              timestamp: new Date().toLocaleTimeString([], {
-                hour: "2-digit",
-                minute: "2-digit",
-              }),
+              id,
+              user: fromUser,
+              text: plainText ?? "",
+              encrypted,
+              undecryptable: plainText === null,
+              timestamp: formatTime(sentTime),
+              sentAt: sentTime.getTime(),
               reactions: {},
               seenBy: [],
+              isSent: true,
             },
           ]);
+          return merged === thread ? prev : { ...prev, [partner]: merged };
         });
+      },
 
-        newConnection.on("UserTyping", (typingUser) => {
-          setTypingUsers((prev) => {
-            if (prev.includes(typingUser)) {
-              return prev;
-            }
-            return [...prev, typingUser];
-          });
+      notification: ({ id, fromUser, text, room }) => {
+        if (!document.hidden) return;
+        showDesktopNotification({
+          id,
+          title: "New Message",
+          fromUser,
+          text: isEncryptedText(text) ? "🔒 Encrypted message" : text,
+          room,
+          isMention: false,
+          previewLength: 50,
         });
+      },
 
-        newConnection.on("UserStoppedTyping", (stoppedUser) => {
-          setTypingUsers((prev) => prev.filter((u) => u !== stoppedUser));
+      // Shown even while the tab is visible.
+      mention: ({ id, fromUser, text, room }) => {
+        const notification = showDesktopNotification({
+          id,
+          title: `${fromUser} mentioned you in #${room}`,
+          fromUser,
+          text,
+          room,
+          isMention: true,
+          previewLength: 100,
         });
+        if (!notification) return;
 
-        newConnection.on("ReceiveReaction", (messageId, fromUser, emoji) => {
-          setMessages((prev) =>
-            prev.map((msg) => {
-              if (msg.id === messageId) {
-                const newReactions = { ...(msg.reactions || {}) };
-                if (emoji === null || emoji === "") {
-                  delete newReactions[fromUser];
-                } else {
-                  newReactions[fromUser] = emoji;
-                }
-                return { ...msg, reactions: newReactions };
-              }
-              return msg;
-            })
-          );
-        });
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
+          openRoomMessage(room, id);
+        };
+      },
 
-        newConnection.on("MessageSeen", (messageId, seenByUser) => {
-          setMessages((prev) =>
-            prev.map((msg) => {
-              if (msg.id === messageId) {
-                const currentSeenBy = Array.isArray(msg.seenBy)
-                  ? msg.seenBy
-                  : [];
-                if (!currentSeenBy.includes(seenByUser)) {
-                  return { ...msg, seenBy: [...currentSeenBy, seenByUser] };
-                }
-              }
-              return msg;
-            })
-          );
-        });
+      publicKeysChanged: ({ user }) => {
+        forgetPublicKeys(user);
+      },
+
+      rateLimited: ({ action, reason, retryAfterMs, messageId }) => {
+        // Typing calls are already throttled; a dropped one needs no notice.
+        if (action === "typing") return;
+        if (messageId) refusedMessagesRef.current.set(messageId, reason);
+
+        const now = Date.now();
+        const until =
+          now + (reason === "duplicate" ? DUPLICATE_NOTICE_MS : retryAfterMs);
+        setRateLimitClock(now);
+        // A longer cooldown already showing stays.
+        setRateLimitNotice((prev) =>
+          prev && prev.until > until ? prev : { action, reason, until }
+        );
+      },
+
+      userJoined: ({ user }) => {
+        addRoomMessages(DEFAULT_ROOM, [
+          {
+            id: `system-${Date.now()}-${Math.random()}`,
+            user: "System",
+            text: `${user} joined the chat`,
+            isSystem: true,
+            timestamp: formatTime(new Date()),
+            sentAt: Date.now(),
+            reactions: {},
+            seenBy: [],
+          },
+        ]);
+      },
 
-        newConnection.on("updateuserlist", (users) => {
-          console.log("User list updated:", users);
-          setConnectedUsers(
-            users.map((username) => ({
-              username: username,
-              connectionId: username,
-            }))
-          );
+      typing: ({ user, room }) => {
+        setTypingUsers((prev) => {
+          const current = prev[room] || [];
+          if (current.includes(user)) {
+            return prev;
+          }
+          return { ...prev, [room]: [...current, user] };
         });
+      },
 
-      await newConnection.start();
-      setConnection(newConnection);
-      setConnectionStatus("connected");
-      setIsConnecting(false);
-      // isConnectedRef.current = true;
+      stoppedTyping: ({ user, room }) => {
+        setTypingUsers((prev) => ({
+          ...prev,
+          [room]: (prev[room] || []).filter((u) => u !== user),
+        }));
+      },
 
-      if (pingIntervalRef.current) {
-        clearInterval(pingIntervalRef.current);
-      }
+      messageEdited: ({ id, text, editedAt }) => {
+        const editedTime = new Date(editedAt).getTime();
+        updateMessage(id, (msg) => ({
+          ...msg,
+          text,
+          editedAt: editedTime,
+          editHistory: [
+            ...(msg.editHistory || []),
+            { text: msg.text, editedAt: editedTime },
+          ],
+        }));
+      },
 
-      pingIntervalRef.current = setInterval(() => {
-        if (newConnection.state === signalR.HubConnectionState.Connected) {
-          newConnection
-            .invoke("Ping")
-            .catch((err) => console.error("Ping failed:", err));
-        }
-      }, 30000);
+      messageDeleted: ({ id }) => {
+        updateMessage(id, deletedMessage);
+      },
 
-        return newConnection;
-      } catch (err) {
-        console.error("Failed to connect:", err);
-        setConnectionStatus("disconnected");
-        setIsConnecting(false);
-        isConnectedRef.current = false;
-        alert(
-          "Failed to connect to chat server. Please check if the server is running on https://localhost:7245"
+      // Room messages: the server's reactions replace ours, unless an update
+      // that was sent later has already arrived.
+      reactionsUpdated: ({ id, reactions, version }) => {
+        updateMessage(id, (msg) =>
+          version < (msg.reactionsVersion || 0)
+            ? msg
+            : { ...msg, reactions, reactionsVersion: version }
         );
-        return null;
-      }
-    }, []);
+      },
+
+      // DM messages aren't stored on the server, so only changes are relayed.
+      reactionChanged: ({ id, user, emoji, added }) => {
+        updateMessage(id, (msg) => ({
+          ...msg,
+          reactions: applyReaction(msg.reactions || {}, emoji, user, added),
+        }));
+      },
+
+      seen: ({ id, user, seenAt }) => {
+        updateMessage(id, (msg) => {
+          const currentSeenBy = Array.isArray(msg.seenBy) ? msg.seenBy : [];
+          if (currentSeenBy.includes(user)) {
+            return msg;
+          }
+          return {
+            ...msg,
+            seenBy: [...currentSeenBy, user],
+            seenAt: { ...msg.seenAt, [user]: new Date(seenAt).getTime() },
+          };
+        });
+      },
+
+      rooms: ({ rooms: roomList }) => {
+        setRooms(roomList);
+      },
+
+      users: ({ users }) => {
+        console.log("User list updated:", users);
+        setConnectedUsers(users);
+      },
+    });
+
+  const {
+    ownFingerprint,
+    partnerKeys,
+    encryptDirectText,
+    decryptDirectText,
+    forgetPublicKeys,
+    resetEncryptionKeys,
+  } = useEncryptionKeys(
+    chatClient,
+    connectionStatus,
+    username,
+    activeDirectUser
+  );
+
+  // Sends queued messages one at a time, oldest first. Each keeps its original
+  // id, so a message that reached the server before the connection dropped is
+  // dropped there as a duplicate. Stops when the connection goes away; failed
+  // entries stay in the outbox until retried.
+  const flushOutbox = useCallback(
+    async (chatClient, user) => {
+      if (isFlushingOutboxRef.current) return;
+      isFlushingOutboxRef.current = true;
+
+      try {
+        let entry;
+        while (
+          chatClient.isConnected &&
+          (entry = outboxRef.current.find((e) => !e.failed))
+        ) {
+          const { message: queued, room, toUser } = entry;
+
+          try {
+            if (toUser) {
+              await chatClient.sendPrivateMessage({
+                id: queued.id,
+                text: queued.encrypted
+                  ? await encryptDirectText(
+                      chatClient,
+                      user,
+                      toUser,
+                      queued.text
+                    )
+                  : queued.text,
+                toUser,
+              });
+            } else {
+              await chatClient.sendMessage({
+                id: queued.id,
+                text: queued.text,
+                room,
+                replyTo: queued.replyTo,
+                attachmentIds: queued.attachments.map((a) => a.attachmentId),
+              });
+            }
+            outboxRef.current = outboxRef.current.filter(
+              (e) => e.message.id !== queued.id
+            );
+            updateMessage(queued.id, (msg) => ({
+              ...msg,
+              pending: false,
+              isSent: true,
+            }));
+          } catch (err) {
+            // Dropped mid-send: leave it queued for the next reconnect.
+            if (!chatClient.isConnected) break;
+            // Sent too fast: leave it queued until the cooldown ends. A
+            // repeated message fails like any other refused send.
+            const refusal = refusedMessagesRef.current.get(queued.id);
+            refusedMessagesRef.current.delete(queued.id);
+            if (refusal === "rate") break;
+            console.error("Send failed:", err);
+            outboxRef.current = outboxRef.current.map((e) =>
+              e.message.id === queued.id ? { ...e, failed: true } : e
+            );
+            updateMessage(queued.id, (msg) => ({
+              ...msg,
+              pending: false,
+              failed: true,
+            }));
+          } finally {
+            saveOutbox(user, outboxRef.current);
+          }
+        }
+      } finally {
+        isFlushingOutboxRef.current = false;
+      }
+    },
+    [updateMessage, encryptDirectText]
+  );
+
+  // Raises a desktop notification unless do not disturb or the notification
+  // preferences rule it out. Returns the notification, or null.
+  const showDesktopNotification = ({
+    id,
+    title,
+    fromUser,
+    text,
+    room,
+    isMention,
+    previewLength,
+  }) => {
+    if (
+      doNotDisturb ||
+      notificationPermission !== "granted" ||
+      !shouldNotify(notificationPrefs, { fromUser, room, isMention })
+    ) {
+      return null;
+    }
+
+    // Notifications can't render Markdown, so show the plain text.
+    const plainText = toPlainText(text);
+    const preview = `${plainText.substring(0, previewLength)}${
+      plainText.length > previewLength ? "..." : ""
+    }`;
+    if (notificationPrefs.sound) playNotificationSound();
+
+    return new Notification(title, {
+      body: notificationPrefs.showPreviews
+        ? `${fromUser}: ${preview}`
+        : `New message from ${fromUser}`,
+      // A mention of this user replaces the plain notification of the same
+      // message.
+      tag: id,
+      silent: true,
+    });
+  };
+
+  // Marks unread messages as seen once half of them is on screen. Not while
+  // the tab is hidden; coming back re-creates the observer, which re-checks.
+  useEffect(() => {
+    if (!chatClient || visibleMessages.length === 0 || !isLoggedIn) return;
+    if (document.hidden) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            const messageId = entry.target.dataset.messageId;
+            const messageUser = entry.target.dataset.messageUser;
+
+            if (
+              messageId &&
+              messageUser &&
+              messageUser !== username &&
+              !seenMessagesRef.current.has(messageId)
+            ) {
+              seenMessagesRef.current.add(messageId);
+              updateMessage(messageId, (msg) =>
+                (msg.seenBy || []).includes(username)
+                  ? msg
+                  : { ...msg, seenBy: [...(msg.seenBy || []), username] }
+              );
+              chatClient
+                .markSeen(messageId, conversationKey)
+                .catch((err) =>
+                  console.error("Failed to mark message as seen:", err)
+                );
+            }
+          }
+        });
+      },
+      { threshold: 0.5 }
+    );
+
+    const messageElements = document.querySelectorAll("[data-unread]");
+    messageElements.forEach((el) => observer.observe(el));
+
+    return () => observer.disconnect();
+  }, [
+    visibleMessages,
+    chatClient,
+    username,
+    isLoggedIn,
+    conversationKey,
+    isAway,
+    updateMessage,
+  ]);
+
+  // Freezes where the user stopped reading, for the "New messages" divider:
+  // the first unread message when a conversation is opened, when its history
+  // first arrives, and when the user comes back to the tab.
+  // Read through a ref: the marker deliberately doesn't move for every new
+  // message, or the divider would follow the conversation while the user is
+  // reading it.
+  const visibleMessagesRef = useRef(visibleMessages);
+  useEffect(() => {
+    visibleMessagesRef.current = visibleMessages;
+  }, [visibleMessages]);
+
+  const hasVisibleMessages = visibleMessages.length > 0;
+  useEffect(() => {
+    if (isAway) return;
+    const firstUnread = visibleMessagesRef.current.find((m) =>
+      isUnreadBy(m, username)
+    );
+    setUnreadMarkerId(firstUnread ? firstUnread.id : null);
+  }, [conversationKey, hasVisibleMessages, isAway, username]);
+
+  const updateUnreadMarkerVisibility = useCallback(() => {
+    const divider = document.getElementById("unread-divider");
+    const container = messagesContainerRef.current;
+    if (!divider || !container) {
+      setIsUnreadMarkerOffscreen(false);
+      return;
+    }
+    const dividerRect = divider.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    setIsUnreadMarkerOffscreen(
+      dividerRect.bottom < containerRect.top ||
+        dividerRect.top > containerRect.bottom
+    );
+  }, []);
+
+  useEffect(() => {
+    updateUnreadMarkerVisibility();
+  }, [unreadMarkerId, visibleMessages, updateUnreadMarkerVisibility]);
+
+  useEffect(() => {
+    document.title =
+      totalUnread > 0 ? `(${totalUnread}) ${BASE_TITLE}` : BASE_TITLE;
+  }, [totalUnread]);
+
+  // Away when the tab is hidden or there has been no input for a while.
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    let idleTimeout;
+    const markActive = () => {
+      clearTimeout(idleTimeout);
+      idleTimeout = setTimeout(() => setIsAway(true), IDLE_TIMEOUT_MS);
+      if (!document.hidden) setIsAway(false);
+    };
+    const handleVisibilityChange = () =>
+      document.hidden ? setIsAway(true) : markActive();
+
+    const activityEvents = ["mousemove", "mousedown", "keydown", "touchstart"];
+    activityEvents.forEach((e) => window.addEventListener(e, markActive));
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    handleVisibilityChange();
+
+    return () => {
+      clearTimeout(idleTimeout);
+      activityEvents.forEach((e) => window.removeEventListener(e, markActive));
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [isLoggedIn]);
+
+  const presence = doNotDisturb ? "dnd" : isAway ? "away" : "online";
+
+  // Re-sent after every (re)connect, since the server starts each new
+  // connection as online.
+  useEffect(() => {
+    if (!chatClient || connectionStatus !== "connected") return;
+    chatClient
+      .setPresence(presence)
+      .catch((err) => console.error("Failed to update presence:", err));
+  }, [chatClient, connectionStatus, presence]);
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    requestNotificationPrefs(tokenRef.current)
+      .then(setNotificationPrefs)
+      .catch((err) =>
+        console.error("Failed to load notification preferences:", err)
+      );
+  }, [isLoggedIn]);
+
+  // Registers this browser for Web Push once notifications are allowed, so
+  // messages still notify after the tab is closed. Re-sent on reconnect.
+  useEffect(() => {
+    if (
+      !chatClient ||
+      connectionStatus !== "connected" ||
+      notificationPermission !== "granted" ||
+      !isPushSupported()
+    ) {
+      return;
+    }
+    subscribeToPush(tokenRef.current)
+      .then((subscription) => {
+        pushEndpointRef.current = subscription.endpoint;
+        return chatClient.subscribePush(subscription);
+      })
+      .catch((err) =>
+        console.error("Failed to subscribe to push notifications:", err)
+      );
+  }, [chatClient, connectionStatus, notificationPermission]);
+
+  useEffect(() => {
+    if (isLoggedIn) setEncryptedChats(loadEncryptedChats(username));
+  }, [isLoggedIn, username]);
+
+  // A clicked push notification focuses an open tab through the service
+  // worker, or opens the app with ?room=&message= (?dm= for a DM) when no tab
+  // is open.
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("room") && params.has("message")) {
+      window.history.replaceState(null, "", window.location.pathname);
+      pendingJumpRef.current = params.get("message");
+      setActiveRoom(params.get("room"));
+    } else if (params.has("dm")) {
+      window.history.replaceState(null, "", window.location.pathname);
+      setActiveDirectUser(params.get("dm"));
+    }
+
+    if (!isPushSupported()) return;
+    const handleMessage = ({ data }) => {
+      if (data?.type !== "open-message") return;
+      if (data.room && data.messageId) {
+        openRoomMessageRef.current(data.room, data.messageId);
+      } else if (data.directUser) {
+        openDirectChatRef.current(data.directUser);
+      }
+    };
+    navigator.serviceWorker.addEventListener("message", handleMessage);
+    return () =>
+      navigator.serviceWorker.removeEventListener("message", handleMessage);
+  }, [isLoggedIn]);
+
+  // Keeps the "last seen" times in the sidebar current.
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, [isLoggedIn]);
+
+  // Counts down the rate limit notice and clears it when it runs out.
+  useEffect(() => {
+    if (!rateLimitNotice) return;
+    const interval = setInterval(() => {
+      if (Date.now() >= rateLimitNotice.until) {
+        setRateLimitNotice(null);
+      } else {
+        setRateLimitClock(Date.now());
+      }
+    }, 250);
+    return () => clearInterval(interval);
+  }, [rateLimitNotice]);
+
+  // Sends the messages held back by a cooldown once it ends.
+  useEffect(() => {
+    if (!isSendCoolingDown && chatClient && username) {
+      flushOutbox(chatClient, username);
+    }
+  }, [isSendCoolingDown, chatClient, username, flushOutbox]);
+
+  // Shows the conversation last open on this device, read-only, when the hub
+  // can't be reached because there is no network.
+  const openOfflineView = useCallback(
+    async (user) => {
+      let cached = null;
+      try {
+        cached = await loadLastConversation(user);
+      } catch (err) {
+        console.error("Failed to load cached messages:", err);
+      }
+
+      setOfflineView({ savedAt: cached?.savedAt ?? null });
+      if (!cached) return;
+
+      const { conversation, messages: cachedMessages } = cached;
+      if (conversation.startsWith("@")) {
+        const partner = conversation.slice(1);
+        setDirectMessages((prev) => ({
+          ...prev,
+          [partner]: mergeMessages(prev[partner] || [], cachedMessages),
+        }));
+        setActiveDirectUser(partner);
+      } else {
+        addRoomMessages(conversation, cachedMessages);
+        setActiveRoom(conversation);
+      }
+    },
+    [addRoomMessages]
+  );
+
+  const connectToHub = useCallback(
+    async (user) => {
+      if (isConnectedRef.current) {
+        console.log("Already connected, skipping duplicate connection");
+        return null;
+      }
+
+      isConnectedRef.current = true;
+
+      setIsConnecting(true);
+
+      try {
+        let browserSessionId = localStorage.getItem(SESSION_ID_KEY);
+        if (!browserSessionId) {
+          browserSessionId = crypto.randomUUID();
+          localStorage.setItem(SESSION_ID_KEY, browserSessionId);
+        }
+
+        const deviceType = /Mobi|Android|iPhone/i.test(navigator.userAgent)
+          ? "mobile"
+          : "web";
+
+        // Put messages queued in an earlier session back on screen; they're
+        // sent once the connection is up.
+        outboxRef.current = loadOutbox(user);
+        outboxRef.current.forEach((entry) => {
+          const { message: queued, room, toUser, failed } = entry;
+          const restored = { ...queued, pending: !failed, failed: !!failed };
+          if (toUser) {
+            setDirectMessages((prev) => ({
+              ...prev,
+              [toUser]: mergeMessages(prev[toUser] || [], [restored]),
+            }));
+          } else {
+            addRoomMessages(room, [restored]);
+          }
+        });
+
+        const newClient = await connect({
+          url:
+            `${config.hubUrl}?deviceType=${deviceType}` +
+            `&sessionId=${encodeURIComponent(browserSessionId)}`,
+          accessTokenFactory: () => tokenRef.current,
+          logLevel: config.logLevel,
+          reconnect: config.reconnect,
+        });
+        setIsConnecting(false);
+
+        return newClient;
+      } catch (err) {
+        console.error("Failed to connect:", err);
+        setIsConnecting(false);
+        isConnectedRef.current = false;
+        if (err.statusCode === 401) {
+          endExpiredSession();
+          return null;
+        }
+        if (!navigator.onLine) {
+          openOfflineView(user);
+          return null;
+        }
+        alert(
+          `Failed to connect to chat server. Please check if the server is running on ${config.hubUrl}`
+        );
+        return null;
+      }
+    },
+    [connect, addRoomMessages, endExpiredSession, openOfflineView]
+  );
+
+  useEffect(() => {
+    const updateOnline = () => setIsOffline(!navigator.onLine);
+    window.addEventListener("online", updateOnline);
+    window.addEventListener("offline", updateOnline);
+    return () => {
+      window.removeEventListener("online", updateOnline);
+      window.removeEventListener("offline", updateOnline);
+    };
+  }, []);
+
+  // Leaves the offline view once the network is back. The cached room
+  // messages are dropped for fresh history; cached DMs are kept, since the
+  // server doesn't store those.
+  useEffect(() => {
+    if (!offlineView || isOffline) return;
+    setOfflineView(null);
+    setRoomMessages({});
+    connectToHub(username);
+  }, [offlineView, isOffline, connectToHub, username]);
+
+  // Keeps the open conversation on this device for the offline view. Only
+  // while connected, so the offline view never overwrites a newer copy.
+  useEffect(() => {
+    if (!isLoggedIn || connectionStatus !== "connected") return;
+
+    const conversation = activeDirectUser ? `@${activeDirectUser}` : activeRoom;
+    const recent = visibleMessages.filter(
+      (m) => !m.isSystem && !m.pending && !m.failed
+    );
+    if (recent.length === 0) return;
+
+    const timeout = setTimeout(() => {
+      saveConversation(username, conversation, recent).catch((err) =>
+        console.error("Failed to cache messages:", err)
+      );
+    }, 1000);
+    return () => clearTimeout(timeout);
+  }, [
+    isLoggedIn,
+    connectionStatus,
+    username,
+    activeRoom,
+    activeDirectUser,
+    visibleMessages,
+  ]);
 
   useEffect(() => {
     const storedUsername = localStorage.getItem(USERNAME_STORAGE_KEY);
-    if (storedUsername && !isConnectedRef.current) {
+    const storedToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (!storedUsername || !storedToken || isTokenExpired(storedToken)) {
+      localStorage.removeItem(USERNAME_STORAGE_KEY);
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      return;
+    }
+    if (!isConnectedRef.current) {
+      tokenRef.current = storedToken;
       setUsername(storedUsername);
       setIsLoggedIn(true);
       connectToHub(storedUsername);
@@ -311,148 +1662,609 @@ const ChatApp = () => {
   }, [connectToHub]);
 
   const handleLogin = async () => {
-    if (username.trim() && !isConnectedRef.current) {
-      const trimmedUsername = username.trim();
-      localStorage.setItem(USERNAME_STORAGE_KEY, trimmedUsername);
-      await connectToHub(trimmedUsername);
+    const trimmedUsername = username.trim();
+    if (!trimmedUsername || !password || isConnectedRef.current) return;
+
+    setAuthError("");
+    setIsConnecting(true);
+
+    let auth;
+    try {
+      auth = await requestToken(
+        isRegistering ? "register" : "login",
+        trimmedUsername,
+        password
+      );
+    } catch (err) {
+      setAuthError(err.message);
+      setIsConnecting(false);
+      return;
+    }
+
+    tokenRef.current = auth.token;
+    localStorage.setItem(TOKEN_STORAGE_KEY, auth.token);
+    localStorage.setItem(USERNAME_STORAGE_KEY, auth.username);
+    setUsername(auth.username);
+    setPassword("");
+
+    if (await connectToHub(auth.username)) {
       setIsLoggedIn(true);
     }
   };
 
+  // Saved on the server with the browser's time zone, so quiet hours can also
+  // be applied where this browser isn't running.
+  const handleNotificationPrefsChange = (changes) => {
+    const next = {
+      ...notificationPrefs,
+      ...changes,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    };
+    setNotificationPrefs(next);
+    saveNotificationPrefs(next, tokenRef.current).catch((err) =>
+      console.error("Failed to save notification preferences:", err)
+    );
+  };
+
+  const handleRequestNotificationPermission = async () => {
+    setNotificationPermission(await Notification.requestPermission());
+  };
+
+  const handleToggleDoNotDisturb = () => {
+    const enabled = !doNotDisturb;
+    localStorage.setItem(DND_STORAGE_KEY, String(enabled));
+    setDoNotDisturb(enabled);
+  };
+
+  // Goes to the first unread message: in the open conversation if it has one,
+  // otherwise opens the first room, then DM thread, with unread messages.
   const handleBellClick = () => {
-    setHasNewNotification(false);
     window.focus();
-    scrollToBottom();
+
+    const firstUnread = visibleMessages.find((m) => isUnreadBy(m, username));
+    if (firstUnread) {
+      jumpToMessage(firstUnread.id);
+      return;
+    }
+
+    const unreadRoom = joinedRooms.find((r) => unreadRooms[r.name] > 0);
+    if (unreadRoom) {
+      openRoom(unreadRoom.name);
+      return;
+    }
+
+    const unreadPartner = Object.keys(unreadDirect).find(
+      (partner) => unreadDirect[partner] > 0
+    );
+    if (unreadPartner) {
+      openDirectChat(unreadPartner);
+    } else {
+      scrollToBottom();
+    }
   };
 
-  const handleSendMessage = async () => {
-    if (!message.trim() || !connection) return;
+  const openRoom = (room) => {
+    handleStopTyping();
+    setReplyingTo(null);
+    setThreadRootId(null);
+    setActiveDirectUser(null);
+    setActiveRoom(room);
+  };
 
-    if (connection.state !== signalR.HubConnectionState.Connected) {
-      alert("Not connected to server. Please wait for reconnection.");
+  // Shows a room message, switching to its room first if needed.
+  const openRoomMessage = (room, messageId) => {
+    if (room === activeRoomRef.current && !activeDirectUserRef.current) {
+      jumpToMessage(messageId);
+    } else {
+      pendingJumpRef.current = messageId;
+      openRoom(room);
+    }
+  };
+
+  // For the service worker's message listener, which is set up once.
+  useEffect(() => {
+    openRoomMessageRef.current = openRoomMessage;
+    openDirectChatRef.current = openDirectChat;
+  });
+
+  const handleCreateRoom = async () => {
+    const name = window.prompt(
+      "Room name (lower-case letters, digits, - and _):"
+    );
+    if (!name || !chatClient) return;
+
+    const room = name.trim().toLowerCase();
+    if (!ROOM_NAME_PATTERN.test(room)) {
+      alert("Room names can only use a-z, 0-9, - and _ (up to 32 characters).");
+      return;
+    }
+    if (rooms.some((r) => r.name === room)) {
+      alert(`#${room} already exists. Join it from the room list instead.`);
       return;
     }
 
+    try {
+      await chatClient.createRoom(room);
+      openRoom(room);
+    } catch (err) {
+      console.error("Create room failed:", err);
+    }
+  };
+
+  const handleJoinRoom = async (room) => {
+    if (!chatClient) return;
+    try {
+      await chatClient.joinRoom(room);
+      loadLatestMessages(room);
+      openRoom(room);
+    } catch (err) {
+      console.error("Join room failed:", err);
+    }
+  };
+
+  const handleLeaveRoom = async (room) => {
+    if (!chatClient || room === DEFAULT_ROOM) return;
+    try {
+      await chatClient.leaveRoom(room);
+      setRoomMessages((prev) => {
+        const { [room]: _left, ...rest } = prev;
+        return rest;
+      });
+      setExhaustedRooms((prev) => ({ ...prev, [room]: false }));
+      if (room === activeRoom) {
+        openRoom(DEFAULT_ROOM);
+      }
+    } catch (err) {
+      console.error("Leave room failed:", err);
+    }
+  };
+
+  const openDirectChat = (partner) => {
+    if (partner === username) return;
+    setReplyingTo(null);
+    setThreadRootId(null);
+    setActiveDirectUser(partner);
+  };
+
+  const closeDirectChat = () => {
+    setActiveDirectUser(null);
+  };
+
+  const handleAddFiles = (files) => {
+    if (activeDirectUser) return;
+
+    Array.from(files).forEach((file) => {
+      const localId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      const updateUpload = (changes) =>
+        setPendingUploads((prev) =>
+          prev.map((u) => (u.localId === localId ? { ...u, ...changes } : u))
+        );
+
+      setPendingUploads((prev) => [
+        ...prev,
+        {
+          localId,
+          name: file.name,
+          progress: 0,
+          attachment: null,
+          error: null,
+        },
+      ]);
+
+      if (file.size > MAX_UPLOAD_BYTES) {
+        updateUpload({ error: "File is too large" });
+        return;
+      }
+
+      uploadAttachment(file, tokenRef.current, (progress) =>
+        updateUpload({ progress })
+      )
+        .then((attachment) => updateUpload({ attachment, progress: 1 }))
+        .catch((err) => {
+          console.error("Upload failed:", err);
+          updateUpload({ error: err.message });
+        });
+    });
+  };
+
+  const handleRemoveUpload = (localId) => {
+    setPendingUploads((prev) => prev.filter((u) => u.localId !== localId));
+  };
+
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length > 0) {
+      e.preventDefault();
+      handleAddFiles(e.clipboardData.files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (activeDirectUser || !e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDraggingFiles(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    if (!isDraggingFiles) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    handleAddFiles(e.dataTransfer.files);
+  };
+
+  // Queues the message in the outbox and sends it right away if connected;
+  // otherwise it goes out after the next (re)connect.
+  const handleSendMessage = () => {
+    if (!canSend) return;
+
     const messageId = `${Date.now()}-${Math.random()
       .toString(36)
       .substr(2, 9)}`;
     const messageText = message.trim();
+    const toUser = activeDirectUser;
+    const room = activeRoom;
+    const replyTo = toUser ? null : replyingTo?.id || null;
+    const attachments = toUser ? [] : readyUploads.map((u) => u.attachment);
+    const newMessage = {
+      id: messageId,
+      user: username,
+      text: messageText,
+      replyTo,
+      attachments,
+      timestamp: new Date().toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      }),
+      sentAt: Date.now(),
+      reactions: {},
+      seenBy: [],
+      isSent: false,
+      pending: true,
+      encrypted: !!toUser && encryptedChats.includes(toUser),
+    };
 
-    try {
-      setMessages((prev) => {
-        if (prev.some((m) => m.id === messageId)) {
-          return prev;
-        }
-        return [
-          ...prev,
-          {
-            id: messageId,
-            user: username,
-            text: messageText,
-            timestamp: new Date().toLocaleTimeString([], {
-              hour: "2-digit",
-              minute: "2-digit",
-            }),
-            reactions: {},
-            seenBy: [],
-            isSent: true,
-          },
-        ];
-      });
+    if (toUser) {
+      setDirectMessages((prev) => ({
+        ...prev,
+        [toUser]: [...(prev[toUser] || []), newMessage],
+      }));
+    } else {
+      addRoomMessages(room, [newMessage]);
+    }
 
-      setMessage("");
-      handleStopTyping();
+    setMessage("");
+    setReplyingTo(null);
+    setPendingUploads([]);
+    // Replying means the user has caught up, so drop the divider.
+    setUnreadMarkerId(null);
+    handleStopTyping();
 
-      await connection.invoke("SendMessage", username, messageText, messageId);
-    } catch (err) {
-      console.error("Send failed:", err);
-      setMessages((prev) =>
-        prev.map((msg) =>
-          msg.id === messageId ? { ...msg, isSent: false, failed: true } : msg
-        )
-      );
-    }
+    outboxRef.current = [
+      ...outboxRef.current,
+      { message: newMessage, room: toUser ? null : room, toUser },
+    ];
+    saveOutbox(username, outboxRef.current);
+
+    if (chatClient) flushOutbox(chatClient, username);
+  };
+
+  const handleToggleEncryption = (enabled) => {
+    const partner = activeDirectUser;
+    const next = enabled
+      ? [...new Set([...encryptedChats, partner])]
+      : encryptedChats.filter((p) => p !== partner);
+    setEncryptedChats(next);
+    localStorage.setItem(encryptedChatsKey(username), JSON.stringify(next));
+  };
+
+  // Puts a failed message back in line; it keeps its place in the outbox.
+  const handleRetryMessage = (messageId) => {
+    outboxRef.current = outboxRef.current.map((e) =>
+      e.message.id === messageId ? { ...e, failed: false } : e
+    );
+    saveOutbox(username, outboxRef.current);
+    updateMessage(messageId, (msg) => ({
+      ...msg,
+      failed: false,
+      pending: true,
+    }));
+
+    if (chatClient) flushOutbox(chatClient, username);
   };
 
   const handleTyping = () => {
-    if (
-      connection &&
-      username &&
-      connection.state === signalR.HubConnectionState.Connected
-    ) {
-      connection
-        .invoke("Typing", username)
-        .catch((err) => console.error("Typing notification failed:", err));
+    // Typing indicators only show in rooms, so skip them in DMs.
+    if (activeDirectUser) return;
+
+    if (chatClient?.isConnected && username) {
+      // One call per burst of typing: others show the indicator until
+      // StopTyping, so repeating it on every keystroke only uses up the
+      // server's typing rate limit.
+      if (typingRoomRef.current !== activeRoom) {
+        if (typingRoomRef.current) handleStopTyping();
+        typingRoomRef.current = activeRoom;
+        chatClient
+          .typing(activeRoom)
+          .catch((err) => console.error("Typing notification failed:", err));
+      }
 
       if (typingTimeoutRef.current) clearTimeout(typingTimeoutRef.current);
       typingTimeoutRef.current = setTimeout(() => handleStopTyping(), 2000);
     }
   };
 
-  const handleStopTyping = () => {
-    if (
-      connection &&
-      username &&
-      connection.state === signalR.HubConnectionState.Connected
-    ) {
-      connection
-        .invoke("StoppedTyping", username)
-        .catch((err) => console.error("Stop typing notification failed:", err));
+  const handleMessageChange = (e) => {
+    setMessage(e.target.value);
+    handleTyping();
+    setMentionSearch(findMentionQuery(e.target.value, e.target.selectionStart));
+    setMentionIndex(0);
+  };
+
+  // Replaces the "@partial" before the caret with the chosen username.
+  const handleSelectMention = (name) => {
+    const input = messageInputRef.current;
+    const caret = input?.selectionStart ?? message.length;
+    const before = `${message.slice(0, mentionSearch.start)}@${name} `;
+
+    setMessage(before + message.slice(caret));
+    setMentionSearch(null);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleMessageKeyDown = (e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setMentionIndex(
+        (index) =>
+          (index + step + mentionSuggestions.length) %
+          mentionSuggestions.length
+      );
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      // Keeps Enter from also sending the message.
+      e.preventDefault();
+      const lastIndex = mentionSuggestions.length - 1;
+      const choice = mentionSuggestions[Math.min(mentionIndex, lastIndex)];
+      handleSelectMention(choice);
+    } else if (e.key === "Escape") {
+      setMentionSearch(null);
+    }
+  };
+
+  const handleStopTyping = () => {
+    const typingRoom = typingRoomRef.current;
+    typingRoomRef.current = null;
+
+    if (typingRoom && chatClient?.isConnected && username) {
+      chatClient
+        .stopTyping(typingRoom)
+        .catch((err) => console.error("Stop typing notification failed:", err));
+    }
+    if (typingTimeoutRef.current) {
+      clearTimeout(typingTimeoutRef.current);
+      typingTimeoutRef.current = null;
+    }
+  };
+
+  // Toggles the user's reaction with one emoji. Shown right away; for room
+  // messages the server's reactions then replace the local guess.
+  const handleReaction = async (messageId, emoji) => {
+    setShowEmojiPicker(null);
+    setFullEmojiPickerFor(null);
+    if (!chatClient?.isConnected) return;
+
+    const msg = visibleMessages.find((m) => m.id === messageId);
+    const added = !(msg?.reactions?.[emoji] || []).includes(username);
+    const applyLocally = (isAdded) =>
+      updateMessage(messageId, (m) => ({
+        ...m,
+        reactions: applyReaction(m.reactions || {}, emoji, username, isAdded),
+      }));
+
+    applyLocally(added);
+    try {
+      if (added) {
+        await chatClient.addReaction(messageId, emoji, conversationKey);
+      } else {
+        await chatClient.removeReaction(messageId, emoji, conversationKey);
+      }
+    } catch (err) {
+      console.error("Reaction failed:", err);
+      applyLocally(!added);
+    }
+  };
+
+  // Scrolls a message into view and briefly highlights it.
+  const jumpToMessage = (messageId) => {
+    const element = document.getElementById(`message-${messageId}`);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: "smooth", block: "center" });
+    setHighlightedMessageId(messageId);
+    if (highlightTimeoutRef.current) clearTimeout(highlightTimeoutRef.current);
+    highlightTimeoutRef.current = setTimeout(
+      () => setHighlightedMessageId(null),
+      2000
+    );
+  };
+
+  // Finishes a jump to a search result once its page of history has rendered.
+  useEffect(() => {
+    const messageId = pendingJumpRef.current;
+    if (messageId && document.getElementById(`message-${messageId}`)) {
+      pendingJumpRef.current = null;
+      jumpToMessage(messageId);
+    }
+  }, [visibleMessages]);
+
+  // Searches the open conversation whenever the filters change, debounced.
+  useEffect(() => {
+    if (!isSearchOpen || !hasSearchFilters(searchFilters)) {
+      setSearchResults(null);
+      setSearchError("");
+      setIsSearching(false);
+      return;
+    }
+
+    if (activeDirectUser) {
+      setSearchResults(
+        searchLoadedMessages(
+          directMessages[activeDirectUser] || NO_MESSAGES,
+          searchFilters
+        )
+      );
+      setSearchError("");
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const results = await searchRoomMessages(
+          activeRoom,
+          searchFilters,
+          tokenRef.current,
+          controller.signal
+        );
+        setSearchResults(
+          results.map((result) => ({
+            message: toChatMessage(result.message),
+            before: result.before.map(toChatMessage),
+            after: result.after.map(toChatMessage),
+          }))
+        );
+        setSearchError("");
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error("Search failed:", err);
+        setSearchResults(null);
+        setSearchError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [
+    isSearchOpen,
+    searchFilters,
+    activeRoom,
+    activeDirectUser,
+    directMessages,
+  ]);
+
+  // Jumps to a search result. A room message older than the loaded history is
+  // reached by loading older pages until it's in the list.
+  const handleSelectSearchResult = async (messageId) => {
+    setIsSearchOpen(false);
+
+    const isLoaded = visibleMessages.some((m) => m.id === messageId);
+    if (isLoaded || activeDirectUser || exhaustedRooms[activeRoom]) {
+      jumpToMessage(messageId);
+      return;
+    }
+    if (isLoadingOlderRef.current) return;
+
+    const room = activeRoom;
+    let cursor = messages.find(
+      (m) => !m.isSystem && !m.failed && !m.pending && !m.isDeleted
+    )?.id;
+
+    isLoadingOlderRef.current = true;
+    setIsLoadingOlder(true);
+
+    try {
+      do {
+        const before = cursor ? `&before=${encodeURIComponent(cursor)}` : "";
+        const response = await fetch(
+          `${config.apiBaseUrl}/api/chat/messages?room=${encodeURIComponent(
+            room
+          )}${before}&limit=${HISTORY_PAGE_SIZE}`,
+          { headers: authHeaders(tokenRef.current) }
+        );
+        if (!response.ok) {
+          throw new Error(`History request failed with ${response.status}`);
+        }
+        const page = await response.json();
+        if (page.length < HISTORY_PAGE_SIZE) {
+          setExhaustedRooms((prev) => ({ ...prev, [room]: true }));
+        }
+
+        addRoomMessages(room, page.map(toChatMessage));
+        if (page.some((m) => m.messageId === messageId)) {
+          pendingJumpRef.current = messageId;
+          break;
+        }
+        cursor =
+          page.length === HISTORY_PAGE_SIZE ? page[0].messageId : undefined;
+      } while (cursor);
+    } catch (err) {
+      console.error("Failed to load history for search result:", err);
+    } finally {
+      isLoadingOlderRef.current = false;
+      setIsLoadingOlder(false);
+    }
+  };
+
+  const handleStartEdit = (msg) => {
+    setEditingMessageId(msg.id);
+    setEditText(msg.text);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessageId(null);
+    setEditText("");
+  };
+
+  // The hub echoes MessageEdited back to the whole room, sender included, so
+  // the bubble is only updated once the server has accepted the edit.
+  const handleSaveEdit = async () => {
+    const messageId = editingMessageId;
+    const newText = editText.trim();
+    const original = visibleMessages.find((m) => m.id === messageId);
+
+    handleCancelEdit();
+    if (!original || !newText || newText === original.text) return;
+
+    if (!chatClient?.isConnected) {
+      alert("Not connected to server. Please wait for reconnection.");
+      return;
     }
-    if (typingTimeoutRef.current) {
-      clearTimeout(typingTimeoutRef.current);
-      typingTimeoutRef.current = null;
+
+    try {
+      await chatClient.editMessage(messageId, newText);
+    } catch (err) {
+      console.error("Edit failed:", err);
     }
   };
 
-  const handleReaction = async (messageId, emoji) => {
-    if (
-      !connection ||
-      connection.state !== signalR.HubConnectionState.Connected
-    )
-      return;
-
-    const msg = messages.find((m) => m.id === messageId);
-    const currentReaction = msg?.reactions?.[username];
+  const handleDeleteMessage = async (messageId) => {
+    if (!window.confirm("Delete this message for everyone?")) return;
 
-    const newEmoji = currentReaction === emoji ? "" : emoji;
+    if (!chatClient?.isConnected) {
+      alert("Not connected to server. Please wait for reconnection.");
+      return;
+    }
 
     try {
-      setMessages((prev) =>
-        prev.map((m) => {
-          if (m.id === messageId) {
-            const newReactions = { ...(m.reactions || {}) };
-            if (newEmoji === "") {
-              delete newReactions[username];
-            } else {
-              newReactions[username] = newEmoji;
-            }
-            return { ...m, reactions: newReactions };
-          }
-          return m;
-        })
-      );
-
-      await connection.invoke("ReactToMessage", messageId, username, newEmoji);
+      await chatClient.deleteMessage(messageId);
     } catch (err) {
-      console.error("Reaction failed:", err);
-      setMessages((prev) =>
-        prev.map((m) => {
-          if (m.id === messageId) {
-            const revertReactions = { ...(m.reactions || {}) };
-            if (currentReaction) {
-              revertReactions[username] = currentReaction;
-            } else {
-              delete revertReactions[username];
-            }
-            return { ...m, reactions: revertReactions };
-          }
-          return m;
-        })
-      );
+      console.error("Delete failed:", err);
     }
-
-    setShowEmojiPicker(null);
   };
 
   const handleDisconnect = async () => {
@@ -460,55 +2272,74 @@ const ChatApp = () => {
       console.log("Starting logout process...");
       
       // Stop all timers first
-      if (pingIntervalRef.current) {
-        clearInterval(pingIntervalRef.current);
-        pingIntervalRef.current = null;
-      }
-
       if (typingTimeoutRef.current) {
         clearTimeout(typingTimeoutRef.current);
         typingTimeoutRef.current = null;
       }
 
       // Notify server about explicit logout BEFORE stopping connection
-      if (connection && connection.state === signalR.HubConnectionState.Connected) {
+      if (chatClient?.isConnected) {
+        if (pushEndpointRef.current) {
+          try {
+            await chatClient.unsubscribePush(pushEndpointRef.current);
+          } catch (pushError) {
+            console.error("Error removing push subscription:", pushError);
+          }
+          pushEndpointRef.current = null;
+        }
+
         try {
-          await connection.invoke("ExplicitLogout", username);
+          await chatClient.logout();
           console.log("Sent explicit logout notification to server");
         } catch (logoutError) {
           console.error("Error sending logout notification:", logoutError);
         }
       }
 
-      // Clear stored username AFTER notifying server
+      clearConversations(username).catch((err) =>
+        console.error("Failed to clear cached messages:", err)
+      );
+
+      // Clear stored username and token AFTER notifying server
       localStorage.removeItem(USERNAME_STORAGE_KEY);
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      tokenRef.current = null;
 
       // Stop the connection
-      if (connection) {
-        try {
-          if (
-            connection.state === signalR.HubConnectionState.Connected ||
-            connection.state === signalR.HubConnectionState.Connecting ||
-            connection.state === signalR.HubConnectionState.Reconnecting
-          ) {
-            await connection.stop();
-            console.log("Connection stopped successfully");
-          }
-        } catch (stopError) {
-          console.error("Error stopping connection:", stopError);
-        }
+      try {
+        await disconnect();
+        console.log("Connection stopped successfully");
+      } catch (stopError) {
+        console.error("Error stopping connection:", stopError);
       }
 
       // Reset all state
-      setConnection(null);
       setIsLoggedIn(false);
-      setHasNewNotification(false);
       setUsername("");
-      setMessages([]);
+      setRoomMessages({});
+      setRooms([]);
+      setActiveRoom(DEFAULT_ROOM);
+      setExhaustedRooms({});
+      setDirectMessages({});
+      setUnreadMarkerId(null);
+      setActiveDirectUser(null);
+      setEditingMessageId(null);
+      setExpandedHistoryId(null);
+      setReplyingTo(null);
+      setThreadRootId(null);
+      setPendingUploads([]);
       setConnectedUsers([]);
-      setTypingUsers([]);
-      setConnectionStatus("disconnected");
+      setTypingUsers({});
+      setIsSearchOpen(false);
+      setSearchFilters(EMPTY_SEARCH);
+      setNotificationPrefs(DEFAULT_NOTIFICATION_PREFS);
+      setIsSettingsOpen(false);
+      setOfflineView(null);
+      setEncryptedChats([]);
+      setIsEncryptionPanelOpen(false);
+      resetEncryptionKeys();
       seenMessagesRef.current.clear();
+      outboxRef.current = [];
       isConnectedRef.current = false;
       // hasSetupListenersRef removed - no longer needed
 
@@ -517,7 +2348,9 @@ const ChatApp = () => {
       console.error("Error during disconnect:", err);
       // Force reset even on error
       localStorage.removeItem(USERNAME_STORAGE_KEY);
-      setConnection(null);
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      tokenRef.current = null;
+      disconnect();
       setIsLoggedIn(false);
       isConnectedRef.current = false;
       // hasSetupListenersRef removed - no longer needed
@@ -529,26 +2362,60 @@ const ChatApp = () => {
 
     if (msg.failed) {
       return (
-        <span className="read-receipt failed" title="Failed to send">
-          !
-        </span>
+        <button
+          className="read-receipt failed"
+          title="Failed to send. Tap to retry."
+          onClick={() => handleRetryMessage(msg.id)}
+        >
+          ! Retry
+        </button>
       );
     }
 
-    const seenByArray = Array.isArray(msg.seenBy) ? msg.seenBy : [];
-    const seenByOthers = seenByArray.filter((u) => u !== username).length > 0;
-
-    if (seenByOthers) {
-      return (
-        <CheckCheck size={14} className="read-receipt blue" title="Seen" />
-      );
-    } else if (msg.isSent) {
+    if (msg.pending && connectionStatus !== "connected") {
       return (
-        <CheckCheck size={14} className="read-receipt grey" title="Delivered" />
+        <Clock
+          size={14}
+          className="read-receipt grey"
+          title="Waiting for connection"
+        />
       );
-    } else {
+    }
+
+    if (!msg.isSent) {
       return <Check size={14} className="read-receipt grey" title="Sending" />;
     }
+
+    const seenByArray = Array.isArray(msg.seenBy) ? msg.seenBy : [];
+    const seenByOthers = seenByArray.filter((u) => u !== username).length > 0;
+    const audience = activeDirectUser
+      ? [activeDirectUser]
+      : (activeRoomInfo?.members || []).filter((u) => u !== username);
+
+    // Hover shows who has seen the message; a tap toggles it on touch screens.
+    return (
+      <span
+        onMouseEnter={() => setReceiptsMessageId(msg.id)}
+        onMouseLeave={() => setReceiptsMessageId(null)}
+        onClick={(e) => {
+          e.stopPropagation();
+          setReceiptsMessageId(receiptsMessageId === msg.id ? null : msg.id);
+        }}
+        style={{
+          position: "relative",
+          display: "inline-flex",
+          cursor: "pointer",
+        }}
+      >
+        <CheckCheck
+          size={14}
+          className={`read-receipt ${seenByOthers ? "blue" : "grey"}`}
+        />
+        {receiptsMessageId === msg.id && (
+          <ReadReceipts msg={msg} audience={audience} currentUser={username} />
+        )}
+      </span>
+    );
   };
 
   const getConnectionStatusBadge = () => {
@@ -559,7 +2426,7 @@ const ChatApp = () => {
       disconnected: { color: "#ef4444", text: "Disconnected" },
     };
 
-    const config = statusConfig[connectionStatus] || statusConfig.disconnected;
+    const badge = statusConfig[connectionStatus] || statusConfig.disconnected;
 
     return (
       <div
@@ -571,17 +2438,19 @@ const ChatApp = () => {
             width: "8px",
             height: "8px",
             borderRadius: "50%",
-            backgroundColor: config.color,
+            backgroundColor: badge.color,
           }}
         />
         <span style={{ fontSize: "12px", color: "#6b7280" }}>
-          {config.text}
+          {badge.text}
         </span>
       </div>
     );
   };
 
   if (!isLoggedIn) {
+    const canSubmitLogin = username.trim() && password && !isConnecting;
+
     return (
       <div
         style={{
@@ -641,6 +2510,7 @@ const ChatApp = () => {
           <input
             type="text"
             placeholder="Enter your username"
+            autoComplete="username"
             value={username}
             onChange={(e) => setUsername(e.target.value)}
             onKeyPress={(e) =>
@@ -661,34 +2531,98 @@ const ChatApp = () => {
             onFocus={(e) => (e.target.style.borderColor = "#667eea")}
             onBlur={(e) => (e.target.style.borderColor = "#e5e7eb")}
           />
+          <input
+            type="password"
+            placeholder="Enter your password"
+            autoComplete={isRegistering ? "new-password" : "current-password"}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            onKeyPress={(e) =>
+              e.key === "Enter" && !isConnecting && handleLogin()
+            }
+            disabled={isConnecting}
+            style={{
+              width: "100%",
+              padding: "14px 16px",
+              fontSize: "15px",
+              border: "2px solid #e5e7eb",
+              borderRadius: "8px",
+              marginBottom: "16px",
+              outline: "none",
+              transition: "border-color 0.2s",
+              boxSizing: "border-box",
+            }}
+            onFocus={(e) => (e.target.style.borderColor = "#667eea")}
+            onBlur={(e) => (e.target.style.borderColor = "#e5e7eb")}
+          />
+          {authError && (
+            <p
+              style={{
+                fontSize: "13px",
+                color: "#dc2626",
+                margin: "0 0 16px",
+              }}
+            >
+              {authError}
+            </p>
+          )}
           <button
             onClick={handleLogin}
-            disabled={isConnecting || !username.trim()}
+            disabled={!canSubmitLogin}
             style={{
               width: "100%",
               padding: "14px",
               fontSize: "16px",
               fontWeight: "600",
               color: "white",
-              background:
-                username.trim() && !isConnecting
-                  ? "linear-gradient(135deg, #667eea 0%, #764ba2 100%)"
-                  : "#d1d5db",
+              background: canSubmitLogin
+                ? "linear-gradient(135deg, #667eea 0%, #764ba2 100%)"
+                : "#d1d5db",
               border: "none",
               borderRadius: "8px",
-              cursor:
-                username.trim() && !isConnecting ? "pointer" : "not-allowed",
+              cursor: canSubmitLogin ? "pointer" : "not-allowed",
               transition: "transform 0.2s",
             }}
             onMouseEnter={(e) => {
-              if (username.trim() && !isConnecting) {
+              if (canSubmitLogin) {
                 e.target.style.transform = "translateY(-2px)";
               }
             }}
             onMouseLeave={(e) => (e.target.style.transform = "translateY(0)")}
           >
-            {isConnecting ? "Connecting..." : "Join Chat"}
+            {isConnecting
+              ? "Connecting..."
+              : isRegistering
+              ? "Create Account"
+              : "Sign In"}
           </button>
+          <p
+            style={{
+              fontSize: "14px",
+              color: "#6b7280",
+              textAlign: "center",
+              marginTop: "16px",
+            }}
+          >
+            {isRegistering ? "Already have an account?" : "New here?"}{" "}
+            <button
+              onClick={() => {
+                setIsRegistering((prev) => !prev);
+                setAuthError("");
+              }}
+              disabled={isConnecting}
+              style={{
+                background: "none",
+                border: "none",
+                padding: 0,
+                color: "#667eea",
+                fontWeight: "600",
+                cursor: "pointer",
+              }}
+            >
+              {isRegistering ? "Sign in" : "Create an account"}
+            </button>
+          </p>
         </div>
       </div>
     );
@@ -749,72 +2683,294 @@ const ChatApp = () => {
                 marginTop: "2px",
               }}
             >
-              <p style={{ fontSize: "13px", color: "#6b7280", margin: 0 }}>
-                <strong>{username}</strong>
-              </p>
-              {getConnectionStatusBadge()}
+              <p style={{ fontSize: "13px", color: "#6b7280", margin: 0 }}>
+                <strong>{username}</strong>
+              </p>
+              {getConnectionStatusBadge()}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
+          <SearchPanel
+            filters={searchFilters}
+            onFiltersChange={setSearchFilters}
+            isOpen={isSearchOpen}
+            onOpenChange={setIsSearchOpen}
+            placeholder={
+              activeDirectUser
+                ? `Search chat with ${activeDirectUser}`
+                : `Search #${activeRoom}`
+            }
+            senders={connectedUsers.map((user) => user.username)}
+            results={searchResults}
+            error={searchError}
+            isSearching={isSearching}
+            onSelect={handleSelectSearchResult}
+          />
+
+          <button
+            onClick={() => setIsSettingsOpen(true)}
+            style={{
+              background: "none",
+              border: "none",
+              cursor: "pointer",
+              color: "#6b7280",
+              padding: "8px",
+            }}
+            title="Notification settings"
+          >
+            <Settings size={22} />
+          </button>
+
+          <button
+            onClick={handleToggleDoNotDisturb}
+            style={{
+              background: doNotDisturb ? "#fee2e2" : "none",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              color: doNotDisturb ? "#dc2626" : "#6b7280",
+              padding: "8px",
+            }}
+            title={
+              doNotDisturb
+                ? "Do not disturb is on: desktop notifications are muted"
+                : "Turn on do not disturb"
+            }
+          >
+            <BellOff size={22} />
+          </button>
+
+          <button
+            onClick={handleBellClick}
+            style={{
+              position: "relative",
+              background: "none",
+              border: "none",
+              cursor: "pointer",
+              color: "#6b7280",
+              padding: "8px",
+            }}
+            title={
+              totalUnread > 0
+                ? `${totalUnread} unread - go to first unread`
+                : "Notifications"
+            }
+          >
+            <Bell size={22} />
+            {totalUnread > 0 && (
+              <span
+                style={{
+                  position: "absolute",
+                  top: "0",
+                  right: "0",
+                  minWidth: "18px",
+                  height: "18px",
+                  padding: "0 5px",
+                  boxSizing: "border-box",
+                  backgroundColor: "#10b981",
+                  color: "white",
+                  fontSize: "10px",
+                  fontWeight: "600",
+                  borderRadius: "9px",
+                  border: "2px solid white",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                }}
+              >
+                {totalUnread > 99 ? "99+" : totalUnread}
+              </span>
+            )}
+          </button>
+
+          <button
+            onClick={handleDisconnect}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+              padding: "8px 16px",
+              backgroundColor: "#fee2e2",
+              color: "#dc2626",
+              border: "none",
+              borderRadius: "6px",
+              fontSize: "14px",
+              fontWeight: "500",
+              cursor: "pointer",
+              transition: "background-color 0.2s",
+            }}
+            onMouseEnter={(e) => (e.target.style.backgroundColor = "#fecaca")}
+            onMouseLeave={(e) => (e.target.style.backgroundColor = "#fee2e2")}
+          >
+            <LogOut size={16} />
+            <span>Logout</span>
+          </button>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", flex: 1, overflow: "hidden" }}>
+        <div
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          style={{
+            flex: 1,
+            display: "flex",
+            flexDirection: "column",
+            position: "relative",
+          }}
+        >
+          {isDraggingFiles && (
+            <div
+              style={{
+                position: "absolute",
+                inset: 0,
+                zIndex: 30,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                backgroundColor: "rgba(102, 126, 234, 0.15)",
+                border: "3px dashed #667eea",
+                color: "#4c51bf",
+                fontSize: "18px",
+                fontWeight: "600",
+                pointerEvents: "none",
+              }}
+            >
+              Drop files to attach them
+            </div>
+          )}
+          <div
+            style={{
+              padding: "10px 24px",
+              backgroundColor: "white",
+              borderBottom: "1px solid #e5e7eb",
+              display: "flex",
+              alignItems: "center",
+              gap: "12px",
+            }}
+          >
+            {activeDirectUser ? (
+              <button
+                onClick={closeDirectChat}
+                title={`Back to #${activeRoom}`}
+                style={{
+                  background: "none",
+                  border: "none",
+                  cursor: "pointer",
+                  color: "#6b7280",
+                  display: "flex",
+                  padding: "4px",
+                }}
+              >
+                <ArrowLeft size={18} />
+              </button>
+            ) : (
+              <Hash size={18} color="#667eea" />
+            )}
+            <span
+              style={{
+                fontSize: "14px",
+                fontWeight: "600",
+                color: "#1f2937",
+              }}
+            >
+              {activeDirectUser
+                ? `Private chat with ${activeDirectUser}`
+                : activeRoom}
+            </span>
+            {!activeDirectUser && (
+              <span style={{ fontSize: "12px", color: "#9ca3af" }}>
+                {activeRoomInfo?.members.length || 0} members
+              </span>
+            )}
+            {activeDirectUser && (
+              <div style={{ position: "relative", marginLeft: "auto" }}>
+                <button
+                  onClick={() => setIsEncryptionPanelOpen((open) => !open)}
+                  title="End-to-end encryption"
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "4px",
+                    padding: "4px 8px",
+                    border: "none",
+                    borderRadius: "6px",
+                    backgroundColor: encryptedChats.includes(activeDirectUser)
+                      ? "#d1fae5"
+                      : "transparent",
+                    color: encryptedChats.includes(activeDirectUser)
+                      ? "#047857"
+                      : "#6b7280",
+                    fontSize: "12px",
+                    cursor: "pointer",
+                  }}
+                >
+                  {encryptedChats.includes(activeDirectUser) ? (
+                    <>
+                      <Lock size={14} /> Encrypted
+                    </>
+                  ) : (
+                    <Unlock size={14} />
+                  )}
+                </button>
+                {isEncryptionPanelOpen && (
+                  <EncryptionPanel
+                    partner={activeDirectUser}
+                    isEnabled={encryptedChats.includes(activeDirectUser)}
+                    onToggle={handleToggleEncryption}
+                    ownFingerprint={ownFingerprint}
+                    partnerKeys={partnerKeys}
+                  />
+                )}
+              </div>
+            )}
+          </div>
+          {isOffline && (
+            <div
+              role="status"
+              style={{
+                padding: "8px 24px",
+                backgroundColor: "#fef3c7",
+                borderBottom: "1px solid #fde68a",
+                fontSize: "13px",
+                color: "#92400e",
+              }}
+            >
+              {!offlineView
+                ? "You're offline. Messages you send will go out when you " +
+                  "reconnect."
+                : offlineView.savedAt
+                ? "You're offline. Showing messages saved on this device " +
+                  `${formatTimeAgo(offlineView.savedAt, now)}; you can read ` +
+                  "but not send until you reconnect."
+                : "You're offline and no messages are saved on this device " +
+                  "yet. They'll load when you reconnect."}
+            </div>
+          )}
+          {rateLimitNotice && (
+            <div
+              role="status"
+              style={{
+                padding: "8px 24px",
+                backgroundColor: "#fef3c7",
+                borderBottom: "1px solid #fde68a",
+                fontSize: "13px",
+                color: "#92400e",
+              }}
+            >
+              {rateLimitNotice.reason === "duplicate"
+                ? "You already sent that message."
+                : rateLimitNotice.action === "reaction"
+                ? `Slow down — you can react again in ${cooldownSeconds}s.`
+                : `Slow down — you can send again in ${cooldownSeconds}s.`}
             </div>
-          </div>
-        </div>
-
-        <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
-          <button
-            onClick={handleBellClick}
-            style={{
-              position: "relative",
-              background: "none",
-              border: "none",
-              cursor: "pointer",
-              color: "#6b7280",
-              padding: "8px",
-            }}
-            title="Notifications"
-          >
-            <Bell size={22} />
-            {hasNewNotification && (
-              <div
-                style={{
-                  position: "absolute",
-                  top: "4px",
-                  right: "4px",
-                  width: "10px",
-                  height: "10px",
-                  backgroundColor: "#10b981",
-                  borderRadius: "50%",
-                  border: "2px solid white",
-                }}
-              />
-            )}
-          </button>
-
-          <button
-            onClick={handleDisconnect}
-            style={{
-              display: "flex",
-              alignItems: "center",
-              gap: "8px",
-              padding: "8px 16px",
-              backgroundColor: "#fee2e2",
-              color: "#dc2626",
-              border: "none",
-              borderRadius: "6px",
-              fontSize: "14px",
-              fontWeight: "500",
-              cursor: "pointer",
-              transition: "background-color 0.2s",
-            }}
-            onMouseEnter={(e) => (e.target.style.backgroundColor = "#fecaca")}
-            onMouseLeave={(e) => (e.target.style.backgroundColor = "#fee2e2")}
-          >
-            <LogOut size={16} />
-            <span>Logout</span>
-          </button>
-        </div>
-      </div>
-
-      <div style={{ display: "flex", flex: 1, overflow: "hidden" }}>
-        <div style={{ flex: 1, display: "flex", flexDirection: "column" }}>
+          )}
           <div
+            ref={messagesContainerRef}
+            onScroll={handleMessagesScroll}
             style={{
               flex: 1,
               overflowY: "auto",
@@ -822,7 +2978,53 @@ const ChatApp = () => {
               backgroundColor: "#f9fafb",
             }}
           >
-            {messages.length === 0 ? (
+            {unreadMarkerId && isUnreadMarkerOffscreen && (
+              <div
+                style={{
+                  position: "sticky",
+                  top: 0,
+                  zIndex: 5,
+                  display: "flex",
+                  justifyContent: "center",
+                  height: 0,
+                }}
+              >
+                <button
+                  onClick={() => jumpToMessage(unreadMarkerId)}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "6px",
+                    height: "fit-content",
+                    padding: "6px 14px",
+                    backgroundColor: "#ef4444",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "16px",
+                    fontSize: "12px",
+                    fontWeight: "600",
+                    cursor: "pointer",
+                    boxShadow: "0 2px 8px rgba(0, 0, 0, 0.15)",
+                  }}
+                >
+                  <ChevronUp size={14} />
+                  Jump to first unread
+                </button>
+              </div>
+            )}
+            {isLoadingOlder && (
+              <div
+                style={{
+                  textAlign: "center",
+                  fontSize: "12px",
+                  color: "#9ca3af",
+                  marginBottom: "12px",
+                }}
+              >
+                Loading older messages...
+              </div>
+            )}
+            {visibleMessages.length === 0 ? (
               <div
                 style={{
                   display: "flex",
@@ -835,298 +3037,974 @@ const ChatApp = () => {
               >
                 <div style={{ fontSize: "64px", marginBottom: "16px" }}>💭</div>
                 <p style={{ fontSize: "16px" }}>
-                  No messages yet. Start the conversation!
+                  {activeDirectUser
+                    ? `No messages with ${activeDirectUser} yet. Say hi!`
+                    : "No messages yet. Start the conversation!"}
                 </p>
               </div>
             ) : (
-              messages.map((msg) => (
-                <div
-                  key={msg.id}
-                  data-message-id={msg.isSystem ? undefined : msg.id}
-                  data-message-user={msg.isSystem ? undefined : msg.user}
-                  style={{
-                    display: "flex",
-                    justifyContent: msg.isSystem
-                      ? "center"
-                      : msg.user === username
-                      ? "flex-end"
-                      : "flex-start",
-                    marginBottom: "16px",
-                  }}
-                >
-                  {msg.isSystem ? (
+              visibleMessages.map((msg) => (
+                <React.Fragment key={msg.id}>
+                  {msg.id === unreadMarkerId && (
                     <div
+                      id="unread-divider"
                       style={{
-                        padding: "6px 12px",
-                        backgroundColor: "#e5e7eb",
-                        color: "#6b7280",
-                        borderRadius: "12px",
-                        fontSize: "13px",
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "12px",
+                        margin: "8px 0 16px",
+                        color: "#ef4444",
+                        fontSize: "12px",
+                        fontWeight: "600",
                       }}
                     >
-                      {msg.text}
+                      <div
+                        style={{
+                          flex: 1,
+                          height: "1px",
+                          backgroundColor: "#fca5a5",
+                        }}
+                      />
+                      New messages
+                      <div
+                        style={{
+                          flex: 1,
+                          height: "1px",
+                          backgroundColor: "#fca5a5",
+                        }}
+                      />
                     </div>
-                  ) : (
-                    <div style={{ position: "relative", maxWidth: "70%" }}>
+                  )}
+                  <div
+                    id={`message-${msg.id}`}
+                    data-message-id={
+                      msg.isSystem || msg.isDeleted ? undefined : msg.id
+                    }
+                    data-message-user={
+                      msg.isSystem || msg.isDeleted ? undefined : msg.user
+                    }
+                    data-unread={
+                      isUnreadBy(msg, username) ? "true" : undefined
+                    }
+                    style={{
+                      display: "flex",
+                      justifyContent: msg.isSystem
+                        ? "center"
+                        : msg.user === username
+                        ? "flex-end"
+                        : "flex-start",
+                      marginBottom: "16px",
+                      padding: "4px",
+                      borderRadius: "12px",
+                      backgroundColor:
+                        highlightedMessageId === msg.id
+                          ? "#fef3c7"
+                          : "transparent",
+                      transition: "background-color 0.5s",
+                    }}
+                  >
+                    {msg.isSystem ? (
                       <div
                         style={{
-                          backgroundColor:
-                            msg.user === username ? "#667eea" : "white",
-                          color: msg.user === username ? "white" : "#1f2937",
-                          padding: "12px 16px",
+                          padding: "6px 12px",
+                          backgroundColor: "#e5e7eb",
+                          color: "#6b7280",
                           borderRadius: "12px",
-                          boxShadow: "0 1px 2px rgba(0,0,0,0.05)",
+                          fontSize: "13px",
                         }}
                       >
+                        {msg.text}
+                      </div>
+                    ) : msg.isDeleted ? (
+                      <div
+                        style={{
+                          padding: "10px 16px",
+                          border: "1px dashed #d1d5db",
+                          borderRadius: "12px",
+                          color: "#9ca3af",
+                          fontSize: "14px",
+                          fontStyle: "italic",
+                        }}
+                      >
+                        {msg.user === username
+                          ? "You deleted this message"
+                          : `${msg.user} deleted this message`}
+                      </div>
+                    ) : (
+                      <div style={{ position: "relative", maxWidth: "70%" }}>
                         <div
                           style={{
-                            display: "flex",
-                            alignItems: "center",
-                            gap: "8px",
-                            marginBottom: "4px",
-                            fontSize: "12px",
-                            opacity: 0.8,
-                          }}
-                        >
-                          <span style={{ fontWeight: "600" }}>{msg.user}</span>
-                          <span>{msg.timestamp}</span>
-                        </div>
-                        <div
-                          style={{
-                            fontSize: "15px",
-                            lineHeight: "1.5",
-                            wordBreak: "break-word",
-                          }}
-                        >
-                          {msg.text}
-                        </div>
-                        <div
-                          style={{
-                            display: "flex",
-                            justifyContent: "flex-end",
-                            marginTop: "4px",
+                            backgroundColor:
+                              msg.user === username ? "#667eea" : "white",
+                            color: msg.user === username ? "white" : "#1f2937",
+                            padding: "12px 16px",
+                            borderRadius: "12px",
+                            boxShadow: "0 1px 2px rgba(0,0,0,0.05)",
                           }}
                         >
-                          {getReadReceiptIcon(msg)}
-                        </div>
-                      </div>
-
-                      {msg.reactions &&
-                        Object.keys(msg.reactions).length > 0 && (
                           <div
                             style={{
-                              position: "absolute",
-                              bottom: "-8px",
-                              [msg.user === username ? "right" : "left"]:
-                                "12px",
                               display: "flex",
-                              gap: "4px",
-                              backgroundColor: "white",
-                              padding: "2px 8px",
-                              borderRadius: "12px",
-                              boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+                              alignItems: "center",
+                              gap: "8px",
+                              marginBottom: "4px",
                               fontSize: "12px",
+                              opacity: 0.8,
                             }}
                           >
-                            {Object.entries(
-                              Object.values(msg.reactions).reduce(
-                                (acc, emoji) => {
-                                  acc[emoji] = (acc[emoji] || 0) + 1;
-                                  return acc;
-                                },
-                                {}
-                              )
-                            ).map(([emoji, count]) => (
-                              <span key={emoji}>
-                                {emoji} {count > 1 && count}
+                            <span style={{ fontWeight: "600" }}>
+                              {msg.user}
+                            </span>
+                            <span>{msg.timestamp}</span>
+                            {msg.encrypted && (
+                              <span
+                                title="End-to-end encrypted"
+                                style={{ display: "flex" }}
+                              >
+                                <Lock size={11} />
                               </span>
-                            ))}
+                            )}
+                            {msg.editedAt && (
+                              <button
+                                onClick={() =>
+                                  setExpandedHistoryId(
+                                    expandedHistoryId === msg.id ? null : msg.id
+                                  )
+                                }
+                                title="Show earlier versions"
+                                style={{
+                                  background: "none",
+                                  border: "none",
+                                  padding: 0,
+                                  color: "inherit",
+                                  fontSize: "12px",
+                                  fontStyle: "italic",
+                                  textDecoration: "underline",
+                                  cursor: "pointer",
+                                }}
+                              >
+                                edited
+                              </button>
+                            )}
+                            {!activeDirectUser &&
+                              !msg.failed &&
+                              !msg.pending && (
+                                <button
+                                  onClick={() => setReplyingTo(msg)}
+                                  title="Reply"
+                                  style={{
+                                    marginLeft: "auto",
+                                    background: "none",
+                                    border: "none",
+                                    padding: 0,
+                                    color: "inherit",
+                                    cursor: "pointer",
+                                    display: "flex",
+                                  }}
+                                >
+                                  <CornerUpLeft size={12} />
+                                </button>
+                              )}
+                            {msg.user === username &&
+                              !activeDirectUser &&
+                              !msg.failed &&
+                              !msg.pending &&
+                              editingMessageId !== msg.id && (
+                                <button
+                                  onClick={() => handleStartEdit(msg)}
+                                  title="Edit message"
+                                  style={{
+                                    background: "none",
+                                    border: "none",
+                                    padding: 0,
+                                    color: "inherit",
+                                    cursor: "pointer",
+                                    display: "flex",
+                                  }}
+                                >
+                                  <Pencil size={12} />
+                                </button>
+                              )}
+                            {msg.user === username &&
+                              !activeDirectUser &&
+                              !msg.failed &&
+                              !msg.pending &&
+                              editingMessageId !== msg.id && (
+                                <button
+                                  onClick={() => handleDeleteMessage(msg.id)}
+                                  title="Delete for everyone"
+                                  style={{
+                                    background: "none",
+                                    border: "none",
+                                    padding: 0,
+                                    color: "inherit",
+                                    cursor: "pointer",
+                                    display: "flex",
+                                  }}
+                                >
+                                  <Trash2 size={12} />
+                                </button>
+                              )}
+                          </div>
+                          {msg.replyTo && (
+                            <QuotedMessage
+                              original={visibleMessages.find(
+                                (m) => m.id === msg.replyTo
+                              )}
+                              isOwn={msg.user === username}
+                              onClick={() => jumpToMessage(msg.replyTo)}
+                            />
+                          )}
+                          {editingMessageId === msg.id ? (
+                            <div style={{ display: "flex", gap: "6px" }}>
+                              <input
+                                type="text"
+                                value={editText}
+                                autoFocus
+                                onChange={(e) => setEditText(e.target.value)}
+                                onKeyDown={(e) => {
+                                  if (e.key === "Enter") handleSaveEdit();
+                                  if (e.key === "Escape") handleCancelEdit();
+                                }}
+                                style={{
+                                  flex: 1,
+                                  padding: "6px 10px",
+                                  fontSize: "14px",
+                                  border: "none",
+                                  borderRadius: "6px",
+                                  outline: "none",
+                                  color: "#1f2937",
+                                }}
+                              />
+                              <button
+                                onClick={handleSaveEdit}
+                                style={{
+                                  padding: "4px 10px",
+                                  fontSize: "12px",
+                                  border: "none",
+                                  borderRadius: "6px",
+                                  backgroundColor: "white",
+                                  color: "#667eea",
+                                  cursor: "pointer",
+                                }}
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={handleCancelEdit}
+                                style={{
+                                  padding: "4px 10px",
+                                  fontSize: "12px",
+                                  border: "none",
+                                  borderRadius: "6px",
+                                  backgroundColor: "transparent",
+                                  color: "inherit",
+                                  cursor: "pointer",
+                                }}
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          ) : msg.undecryptable ? (
+                            <div
+                              style={{
+                                fontSize: "14px",
+                                fontStyle: "italic",
+                                opacity: 0.8,
+                              }}
+                            >
+                              This encrypted message can&apos;t be read on this
+                              device.
+                            </div>
+                          ) : (
+                            msg.text && (
+                              <div
+                                style={{
+                                  fontSize: "15px",
+                                  lineHeight: "1.5",
+                                  wordBreak: "break-word",
+                                }}
+                              >
+                                <MessageMarkdown
+                                  text={msg.text}
+                                  isOwn={msg.user === username}
+                                  mentionables={mentionables}
+                                  username={username}
+                                />
+                              </div>
+                            )
+                          )}
+                          {msg.attachments?.length > 0 && (
+                            <AttachmentList
+                              attachments={msg.attachments}
+                              isOwn={msg.user === username}
+                            />
+                          )}
+                          {expandedHistoryId === msg.id &&
+                            msg.editHistory?.length > 0 && (
+                              <div
+                                style={{
+                                  marginTop: "8px",
+                                  paddingTop: "6px",
+                                  borderTop: "1px solid rgba(0,0,0,0.1)",
+                                  fontSize: "12px",
+                                  opacity: 0.8,
+                                }}
+                              >
+                                {msg.editHistory.map((revision, index) => (
+                                  <div
+                                    key={index}
+                                    style={{ marginBottom: "4px" }}
+                                  >
+                                    <span
+                                      style={{ textDecoration: "line-through" }}
+                                    >
+                                      {toPlainText(revision.text)}
+                                    </span>{" "}
+                                    <span style={{ fontStyle: "italic" }}>
+                                      (replaced{" "}
+                                      {formatTime(new Date(revision.editedAt))})
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            )}
+                          <div
+                            style={{
+                              display: "flex",
+                              justifyContent: "flex-end",
+                              marginTop: "4px",
+                            }}
+                          >
+                            {getReadReceiptIcon(msg)}
                           </div>
+                        </div>
+
+                        {repliesByMessage[msg.id] && (
+                          <button
+                            onClick={() => setThreadRootId(msg.id)}
+                            style={{
+                              display: "flex",
+                              alignItems: "center",
+                              gap: "4px",
+                              marginTop: "6px",
+                              marginLeft: msg.user === username ? "auto" : 0,
+                              background: "none",
+                              border: "none",
+                              padding: 0,
+                              fontSize: "12px",
+                              color: "#667eea",
+                              cursor: "pointer",
+                            }}
+                          >
+                            <MessageSquare size={12} />
+                            {repliesByMessage[msg.id].length}{" "}
+                            {repliesByMessage[msg.id].length === 1
+                              ? "reply"
+                              : "replies"}
+                          </button>
                         )}
 
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          setShowEmojiPicker(
-                            showEmojiPicker === msg.id ? null : msg.id
-                          );
-                        }}
-                        style={{
-                          position: "absolute",
-                          top: "50%",
-                          transform: "translateY(-50%)",
-                          [msg.user === username ? "left" : "right"]: "-32px",
-                          width: "24px",
-                          height: "24px",
-                          borderRadius: "50%",
-                          border: "none",
-                          backgroundColor: "#f3f4f6",
-                          color: "#6b7280",
-                          cursor: "pointer",
-                          display: "flex",
-                          alignItems: "center",
-                          justifyContent: "center",
-                          opacity: 0.6,
-                          transition: "opacity 0.2s",
-                        }}
-                        onMouseEnter={(e) => (e.target.style.opacity = 1)}
-                        onMouseLeave={(e) => (e.target.style.opacity = 0.6)}
-                      >
-                        <Smile size={14} />
-                      </button>
+                        {msg.reactions &&
+                          Object.keys(msg.reactions).length > 0 && (
+                            <div
+                              style={{
+                                position: "absolute",
+                                bottom: "-10px",
+                                [msg.user === username ? "right" : "left"]:
+                                  "12px",
+                                display: "flex",
+                                flexWrap: "wrap",
+                                gap: "4px",
+                              }}
+                            >
+                              {Object.entries(msg.reactions).map(
+                                ([emoji, users]) => {
+                                  const isMine = users.includes(username);
+                                  const who = users.join(", ");
+                                  return (
+                                    <button
+                                      key={emoji}
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        handleReaction(msg.id, emoji);
+                                      }}
+                                      title={`${who} reacted with ${emoji}`}
+                                      style={{
+                                        display: "flex",
+                                        alignItems: "center",
+                                        gap: "3px",
+                                        padding: "1px 7px",
+                                        borderRadius: "10px",
+                                        border: `1px solid ${
+                                          isMine ? "#667eea" : "#e5e7eb"
+                                        }`,
+                                        backgroundColor: isMine
+                                          ? "#eef2ff"
+                                          : "white",
+                                        boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+                                        fontSize: "12px",
+                                        color: "#374151",
+                                        cursor: "pointer",
+                                      }}
+                                    >
+                                      {emoji}
+                                      <span style={{ fontWeight: "600" }}>
+                                        {users.length}
+                                      </span>
+                                    </button>
+                                  );
+                                }
+                              )}
+                            </div>
+                          )}
 
-                      {showEmojiPicker === msg.id && (
-                        <div
-                          ref={emojiPickerRef}
-                          onClick={(e) => e.stopPropagation()}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setShowEmojiPicker(
+                              showEmojiPicker === msg.id ? null : msg.id
+                            );
+                          }}
                           style={{
                             position: "absolute",
-                            bottom: "-45px",
-                            [msg.user === username ? "right" : "left"]: "8px",
-                            backgroundColor: "white",
-                            borderRadius: "24px",
-                            boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
-                            padding: "8px 12px",
+                            top: "50%",
+                            transform: "translateY(-50%)",
+                            [msg.user === username ? "left" : "right"]: "-32px",
+                            width: "24px",
+                            height: "24px",
+                            borderRadius: "50%",
+                            border: "none",
+                            backgroundColor: "#f3f4f6",
+                            color: "#6b7280",
+                            cursor: "pointer",
                             display: "flex",
-                            gap: "4px",
-                            zIndex: 10,
+                            alignItems: "center",
+                            justifyContent: "center",
+                            opacity: 0.6,
+                            transition: "opacity 0.2s",
                           }}
+                          onMouseEnter={(e) => (e.target.style.opacity = 1)}
+                          onMouseLeave={(e) => (e.target.style.opacity = 0.6)}
                         >
-                          {emojis.map((emoji) => (
+                          <Smile size={14} />
+                        </button>
+
+                        {showEmojiPicker === msg.id && (
+                          <div
+                            ref={emojiPickerRef}
+                            onClick={(e) => e.stopPropagation()}
+                            style={{
+                              position: "absolute",
+                              bottom: "-45px",
+                              [msg.user === username ? "right" : "left"]: "8px",
+                              backgroundColor: "white",
+                              borderRadius: "24px",
+                              boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
+                              padding: "8px 12px",
+                              display: "flex",
+                              gap: "4px",
+                              zIndex: 10,
+                            }}
+                          >
+                            {emojis.map((emoji) => (
+                              <button
+                                key={emoji}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleReaction(msg.id, emoji);
+                                }}
+                                style={{
+                                  border: "none",
+                                  background: "none",
+                                  fontSize: "20px",
+                                  cursor: "pointer",
+                                  padding: "4px",
+                                  borderRadius: "4px",
+                                  transition: "transform 0.2s",
+                                }}
+                                onMouseEnter={(e) =>
+                                  (e.target.style.transform = "scale(1.3)")
+                                }
+                                onMouseLeave={(e) =>
+                                  (e.target.style.transform = "scale(1)")
+                                }
+                              >
+                                {emoji}
+                              </button>
+                            ))}
                             <button
-                              key={emoji}
                               onClick={(e) => {
                                 e.stopPropagation();
-                                handleReaction(msg.id, emoji);
+                                setShowEmojiPicker(null);
+                                setFullEmojiPickerFor(msg.id);
                               }}
+                              title="More reactions"
                               style={{
                                 border: "none",
-                                background: "none",
-                                fontSize: "20px",
+                                background: "#f3f4f6",
+                                color: "#6b7280",
                                 cursor: "pointer",
                                 padding: "4px",
-                                borderRadius: "4px",
-                                transition: "transform 0.2s",
+                                borderRadius: "50%",
+                                display: "flex",
+                                alignItems: "center",
                               }}
-                              onMouseEnter={(e) =>
-                                (e.target.style.transform = "scale(1.3)")
-                              }
-                              onMouseLeave={(e) =>
-                                (e.target.style.transform = "scale(1)")
-                              }
                             >
-                              {emoji}
+                              <Plus size={16} />
                             </button>
-                          ))}
-                        </div>
-                      )}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </React.Fragment>
+              ))
+            )}
+            <div ref={messagesEndRef} />
+          </div>
+
+          {activeTypingUsers.length > 0 && (
+            <div
+              style={{
+                padding: "8px 24px",
+                backgroundColor: "#f9fafb",
+                borderTop: "1px solid #e5e7eb",
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+                fontSize: "13px",
+                color: "#6b7280",
+              }}
+            >
+              <div style={{ display: "flex", gap: "4px" }}>
+                {[0, 1, 2].map((i) => (
+                  <div
+                    key={i}
+                    style={{
+                      width: "6px",
+                      height: "6px",
+                      borderRadius: "50%",
+                      backgroundColor: "#6f7275ff",
+                      animation: `bounce 1.4s infinite ${i * 0.2}s`,
+                    }}
+                  />
+                ))}
+              </div>
+              <span>
+                {activeTypingUsers.join(", ")}{" "}
+                {activeTypingUsers.length === 1 ? "is" : "are"} typing...
+              </span>
+            </div>
+          )}
+
+          {replyingTo && (
+            <div
+              style={{
+                padding: "8px 24px",
+                backgroundColor: "#eef2ff",
+                borderTop: "1px solid #e5e7eb",
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+                fontSize: "13px",
+                color: "#4b5563",
+              }}
+            >
+              <CornerUpLeft size={14} color="#667eea" />
+              <span
+                style={{
+                  flex: 1,
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                Replying to <strong>{replyingTo.user}</strong>:{" "}
+                {toPlainText(replyingTo.text)}
+              </span>
+              <button
+                onClick={() => setReplyingTo(null)}
+                title="Cancel reply"
+                style={{
+                  background: "none",
+                  border: "none",
+                  cursor: "pointer",
+                  color: "#6b7280",
+                  display: "flex",
+                }}
+              >
+                <X size={14} />
+              </button>
+            </div>
+          )}
+
+          {pendingUploads.length > 0 && (
+            <div
+              style={{
+                padding: "8px 24px",
+                backgroundColor: "white",
+                borderTop: "1px solid #e5e7eb",
+                display: "flex",
+                flexWrap: "wrap",
+                gap: "8px",
+              }}
+            >
+              {pendingUploads.map((upload) => (
+                <div
+                  key={upload.localId}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "6px",
+                    padding: "6px 10px",
+                    borderRadius: "8px",
+                    backgroundColor: upload.error ? "#fee2e2" : "#f3f4f6",
+                    fontSize: "12px",
+                    color: upload.error ? "#dc2626" : "#374151",
+                    maxWidth: "240px",
+                  }}
+                >
+                  <FileText size={14} />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div
+                      style={{
+                        overflow: "hidden",
+                        textOverflow: "ellipsis",
+                        whiteSpace: "nowrap",
+                      }}
+                      title={upload.error || upload.name}
+                    >
+                      {upload.error
+                        ? `${upload.name}: ${upload.error}`
+                        : upload.name}
                     </div>
-                  )}
+                    {!upload.error && !upload.attachment && (
+                      <div
+                        style={{
+                          height: "3px",
+                          marginTop: "3px",
+                          borderRadius: "2px",
+                          backgroundColor: "#e5e7eb",
+                        }}
+                      >
+                        <div
+                          style={{
+                            width: `${Math.round(upload.progress * 100)}%`,
+                            height: "100%",
+                            borderRadius: "2px",
+                            backgroundColor: "#667eea",
+                          }}
+                        />
+                      </div>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleRemoveUpload(upload.localId)}
+                    title="Remove"
+                    style={{
+                      background: "none",
+                      border: "none",
+                      cursor: "pointer",
+                      color: "inherit",
+                      display: "flex",
+                    }}
+                  >
+                    <X size={12} />
+                  </button>
                 </div>
-              ))
-            )}
-            <div ref={messagesEndRef} />
-          </div>
+              ))}
+            </div>
+          )}
 
-          {typingUsers.length > 0 && (
+          {offlineView ? (
             <div
               style={{
-                padding: "8px 24px",
-                backgroundColor: "#f9fafb",
+                padding: "16px 24px",
+                backgroundColor: "white",
+                borderTop: "1px solid #e5e7eb",
+                fontSize: "14px",
+                color: "#9ca3af",
+                textAlign: "center",
+              }}
+            >
+              Read-only while offline
+            </div>
+          ) : (
+            <div
+              style={{
+                padding: "16px 24px",
+                backgroundColor: "white",
                 borderTop: "1px solid #e5e7eb",
                 display: "flex",
-                alignItems: "center",
-                gap: "8px",
-                fontSize: "13px",
-                color: "#6b7280",
+                gap: "12px",
               }}
             >
-              <div style={{ display: "flex", gap: "4px" }}>
-                {[0, 1, 2].map((i) => (
-                  <div
-                    key={i}
+              {!activeDirectUser && (
+                <>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    style={{ display: "none" }}
+                    onChange={(e) => {
+                      handleAddFiles(e.target.files);
+                      e.target.value = "";
+                    }}
+                  />
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={connectionStatus !== "connected"}
+                    title="Attach files"
                     style={{
-                      width: "6px",
-                      height: "6px",
+                      width: "48px",
+                      height: "48px",
                       borderRadius: "50%",
-                      backgroundColor: "#6f7275ff",
-                      animation: `bounce 1.4s infinite ${i * 0.2}s`,
+                      border: "none",
+                      backgroundColor: "#f3f4f6",
+                      color: "#6b7280",
+                      cursor:
+                        connectionStatus === "connected"
+                          ? "pointer"
+                          : "not-allowed",
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      flexShrink: 0,
                     }}
-                  />
-                ))}
+                  >
+                    <Paperclip size={20} />
+                  </button>
+                </>
+              )}
+              <div style={{ position: "relative", flex: 1, display: "flex" }}>
+                {mentionSuggestions.length > 0 && (
+                  <div
+                    style={{
+                      position: "absolute",
+                      bottom: "calc(100% + 8px)",
+                      left: "16px",
+                      minWidth: "200px",
+                      padding: "4px",
+                      backgroundColor: "white",
+                      borderRadius: "10px",
+                      boxShadow: "0 4px 16px rgba(0, 0, 0, 0.15)",
+                      zIndex: 20,
+                    }}
+                  >
+                    {mentionSuggestions.map((name, index) => (
+                      <button
+                        key={name}
+                        // mousedown rather than click so the input keeps focus.
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          handleSelectMention(name);
+                        }}
+                        onMouseEnter={() => setMentionIndex(index)}
+                        style={{
+                          display: "flex",
+                          alignItems: "center",
+                          gap: "8px",
+                          width: "100%",
+                          padding: "6px 10px",
+                          border: "none",
+                          borderRadius: "6px",
+                          backgroundColor:
+                            index === mentionIndex ? "#eef2ff" : "transparent",
+                          fontSize: "14px",
+                          color: "#1f2937",
+                          textAlign: "left",
+                          cursor: "pointer",
+                        }}
+                      >
+                        <AtSign size={14} color="#667eea" />
+                        {name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <input
+                  ref={messageInputRef}
+                  type="text"
+                  value={message}
+                  onPaste={handlePaste}
+                  onChange={handleMessageChange}
+                  onKeyDown={handleMessageKeyDown}
+                  onKeyPress={(e) => e.key === "Enter" && handleSendMessage()}
+                  placeholder={
+                    connectionStatus !== "connected"
+                      ? "Offline: messages will send when you reconnect"
+                      : isPartnerOffline
+                      ? `${activeDirectUser} is offline and will get your ` +
+                        "message when they're back"
+                      : encryptedChats.includes(activeDirectUser)
+                      ? "Type an encrypted message..."
+                      : "Type your message..."
+                  }
+                  style={{
+                    flex: 1,
+                    padding: "12px 16px",
+                    fontSize: "15px",
+                    border: "1px solid #e5e7eb",
+                    borderRadius: "24px",
+                    outline: "none",
+                    backgroundColor: "white",
+                  }}
+                  onFocus={(e) => (e.target.style.borderColor = "#667eea")}
+                  onBlur={(e) => {
+                    e.target.style.borderColor = "#e5e7eb";
+                    setMentionSearch(null);
+                  }}
+                />
               </div>
-              <span>
-                {typingUsers.join(", ")}{" "}
-                {typingUsers.length === 1 ? "is" : "are"} typing...
-              </span>
+              <button
+                onClick={handleSendMessage}
+                disabled={!canSend}
+                style={{
+                  width: "48px",
+                  height: "48px",
+                  borderRadius: "50%",
+                  border: "none",
+                  background: canSend
+                    ? "linear-gradient(135deg, #667eea 0%, #764ba2 100%)"
+                    : "#d1d5db",
+                  color: "white",
+                  cursor: canSend ? "pointer" : "not-allowed",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  transition: "transform 0.2s",
+                }}
+                onMouseEnter={(e) => {
+                  if (canSend) {
+                    e.target.style.transform = "scale(1.1)";
+                  }
+                }}
+                onMouseLeave={(e) => (e.target.style.transform = "scale(1)")}
+              >
+                <Send size={20} />
+              </button>
             </div>
           )}
+        </div>
 
+        {threadRoot && (
           <div
+            className="thread-panel"
             style={{
-              padding: "16px 24px",
+              width: "320px",
               backgroundColor: "white",
-              borderTop: "1px solid #e5e7eb",
+              borderLeft: "1px solid #e5e7eb",
               display: "flex",
-              gap: "12px",
+              flexDirection: "column",
             }}
           >
-            <input
-              type="text"
-              value={message}
-              onChange={(e) => {
-                setMessage(e.target.value);
-                handleTyping();
-              }}
-              onKeyPress={(e) => e.key === "Enter" && handleSendMessage()}
-              placeholder="Type your message..."
-              disabled={connectionStatus !== "connected"}
-              style={{
-                flex: 1,
-                padding: "12px 16px",
-                fontSize: "15px",
-                border: "1px solid #e5e7eb",
-                borderRadius: "24px",
-                outline: "none",
-                backgroundColor:
-                  connectionStatus === "connected" ? "white" : "#f3f4f6",
-              }}
-              onFocus={(e) => (e.target.style.borderColor = "#667eea")}
-              onBlur={(e) => (e.target.style.borderColor = "#e5e7eb")}
-            />
-            <button
-              onClick={handleSendMessage}
-              disabled={!message.trim() || connectionStatus !== "connected"}
+            <div
               style={{
-                width: "48px",
-                height: "48px",
-                borderRadius: "50%",
-                border: "none",
-                background:
-                  message.trim() && connectionStatus === "connected"
-                    ? "linear-gradient(135deg, #667eea 0%, #764ba2 100%)"
-                    : "#d1d5db",
-                color: "white",
-                cursor:
-                  message.trim() && connectionStatus === "connected"
-                    ? "pointer"
-                    : "not-allowed",
+                padding: "16px",
+                borderBottom: "1px solid #e5e7eb",
                 display: "flex",
                 alignItems: "center",
-                justifyContent: "center",
-                transition: "transform 0.2s",
-              }}
-              onMouseEnter={(e) => {
-                if (message.trim() && connectionStatus === "connected") {
-                  e.target.style.transform = "scale(1.1)";
-                }
+                gap: "8px",
               }}
-              onMouseLeave={(e) => (e.target.style.transform = "scale(1)")}
             >
-              <Send size={20} />
-            </button>
+              <MessageSquare size={18} color="#667eea" />
+              <span
+                style={{
+                  flex: 1,
+                  fontSize: "16px",
+                  fontWeight: "600",
+                  color: "#1f2937",
+                }}
+              >
+                Thread
+              </span>
+              <button
+                onClick={() => setThreadRootId(null)}
+                title="Close thread"
+                style={{
+                  background: "none",
+                  border: "none",
+                  cursor: "pointer",
+                  color: "#6b7280",
+                  display: "flex",
+                }}
+              >
+                <X size={16} />
+              </button>
+            </div>
+            <div style={{ flex: 1, overflowY: "auto", padding: "12px" }}>
+              {[threadRoot, ...(repliesByMessage[threadRoot.id] || [])].map(
+                (msg, index) => (
+                  <div
+                    key={msg.id}
+                    onClick={() => jumpToMessage(msg.id)}
+                    style={{
+                      padding: "10px 12px",
+                      marginBottom: "8px",
+                      marginLeft: index === 0 ? 0 : "16px",
+                      borderRadius: "8px",
+                      backgroundColor: index === 0 ? "#eef2ff" : "#f9fafb",
+                      cursor: "pointer",
+                    }}
+                  >
+                    <div
+                      style={{
+                        display: "flex",
+                        gap: "8px",
+                        fontSize: "12px",
+                        color: "#6b7280",
+                        marginBottom: "4px",
+                      }}
+                    >
+                      <strong style={{ color: "#1f2937" }}>{msg.user}</strong>
+                      <span>{msg.timestamp}</span>
+                    </div>
+                    <div
+                      style={{
+                        fontSize: "14px",
+                        color: msg.isDeleted ? "#9ca3af" : "#1f2937",
+                        fontStyle: msg.isDeleted ? "italic" : "normal",
+                        wordBreak: "break-word",
+                      }}
+                    >
+                      {msg.isDeleted ? (
+                        "Message deleted"
+                      ) : (
+                        <MessageMarkdown
+                          text={msg.text}
+                          isOwn={false}
+                          mentionables={mentionables}
+                          username={username}
+                        />
+                      )}
+                    </div>
+                  </div>
+                )
+              )}
+              <button
+                onClick={() => setReplyingTo(threadRoot)}
+                disabled={threadRoot.isDeleted}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "6px",
+                  marginLeft: "16px",
+                  padding: "6px 12px",
+                  fontSize: "13px",
+                  color: "#667eea",
+                  backgroundColor: "#eef2ff",
+                  border: "none",
+                  borderRadius: "12px",
+                  cursor: threadRoot.isDeleted ? "not-allowed" : "pointer",
+                }}
+              >
+                <CornerUpLeft size={14} />
+                Reply in thread
+              </button>
+            </div>
           </div>
-        </div>
+        )}
 
         <div
           className="sidebar"
@@ -1138,6 +4016,173 @@ const ChatApp = () => {
             flexDirection: "column",
           }}
         >
+          <div
+            style={{
+              padding: "16px",
+              borderBottom: "1px solid #e5e7eb",
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+            }}
+          >
+            <Hash size={20} color="#667eea" />
+            <span
+              style={{
+                flex: 1,
+                fontSize: "16px",
+                fontWeight: "600",
+                color: "#1f2937",
+              }}
+            >
+              Rooms
+            </span>
+            <button
+              onClick={handleCreateRoom}
+              title="Create a room"
+              style={{
+                background: "none",
+                border: "none",
+                cursor: "pointer",
+                color: "#667eea",
+                display: "flex",
+                padding: "4px",
+              }}
+            >
+              <Plus size={18} />
+            </button>
+          </div>
+          <div
+            style={{
+              maxHeight: "40%",
+              overflowY: "auto",
+              padding: "8px",
+              borderBottom: "1px solid #e5e7eb",
+            }}
+          >
+            {joinedRooms.map((room) => (
+              <div
+                key={room.name}
+                onClick={() => openRoom(room.name)}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "8px",
+                  padding: "8px 12px",
+                  borderRadius: "8px",
+                  marginBottom: "2px",
+                  cursor: "pointer",
+                  backgroundColor:
+                    room.name === activeRoom && !activeDirectUser
+                      ? "#eef2ff"
+                      : "transparent",
+                }}
+              >
+                <span
+                  style={{
+                    flex: 1,
+                    fontSize: "14px",
+                    fontWeight: unreadRooms[room.name] > 0 ? "700" : "500",
+                    color: "#1f2937",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  # {room.name}
+                </span>
+                {unreadRooms[room.name] > 0 && (
+                  <span
+                    style={{
+                      minWidth: "20px",
+                      height: "20px",
+                      padding: "0 6px",
+                      borderRadius: "10px",
+                      backgroundColor: "#667eea",
+                      color: "white",
+                      fontSize: "11px",
+                      fontWeight: "600",
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                    }}
+                  >
+                    {unreadRooms[room.name]}
+                  </span>
+                )}
+                {room.name !== DEFAULT_ROOM && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleLeaveRoom(room.name);
+                    }}
+                    title={`Leave #${room.name}`}
+                    style={{
+                      background: "none",
+                      border: "none",
+                      cursor: "pointer",
+                      color: "#9ca3af",
+                      display: "flex",
+                      padding: "2px",
+                    }}
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+            ))}
+            {otherRooms.length > 0 && (
+              <div
+                style={{
+                  fontSize: "11px",
+                  fontWeight: "600",
+                  color: "#9ca3af",
+                  textTransform: "uppercase",
+                  padding: "8px 12px 4px",
+                }}
+              >
+                Other rooms
+              </div>
+            )}
+            {otherRooms.map((room) => (
+              <div
+                key={room.name}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "8px",
+                  padding: "6px 12px",
+                }}
+              >
+                <span
+                  style={{
+                    flex: 1,
+                    fontSize: "14px",
+                    color: "#6b7280",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  # {room.name}
+                </span>
+                <button
+                  onClick={() => handleJoinRoom(room.name)}
+                  style={{
+                    padding: "2px 10px",
+                    fontSize: "12px",
+                    fontWeight: "500",
+                    color: "#667eea",
+                    backgroundColor: "#eef2ff",
+                    border: "none",
+                    borderRadius: "12px",
+                    cursor: "pointer",
+                  }}
+                >
+                  Join
+                </button>
+              </div>
+            ))}
+          </div>
           <div
             style={{
               padding: "16px",
@@ -1155,7 +4200,8 @@ const ChatApp = () => {
                 color: "#1f2937",
               }}
             >
-              Online ({connectedUsers.length})
+              Online (
+              {connectedUsers.filter((u) => u.status !== "offline").length})
             </span>
           </div>
           <div
@@ -1167,7 +4213,13 @@ const ChatApp = () => {
           >
             {connectedUsers.map((user) => (
               <div
-                key={user.connectionId}
+                key={user.username}
+                onClick={() => openDirectChat(user.username)}
+                title={
+                  user.username === username
+                    ? undefined
+                    : `Send a private message to ${user.username}`
+                }
                 style={{
                   display: "flex",
                   alignItems: "center",
@@ -1176,7 +4228,11 @@ const ChatApp = () => {
                   borderRadius: "8px",
                   marginBottom: "4px",
                   backgroundColor:
-                    user.username === username ? "#f3f4f6" : "transparent",
+                    user.username === username ||
+                    user.username === activeDirectUser
+                      ? "#f3f4f6"
+                      : "transparent",
+                  cursor: user.username === username ? "default" : "pointer",
                   transition: "background-color 0.2s",
                 }}
                 onMouseEnter={(e) => {
@@ -1185,7 +4241,10 @@ const ChatApp = () => {
                   }
                 }}
                 onMouseLeave={(e) => {
-                  if (user.username !== username) {
+                  if (
+                    user.username !== username &&
+                    user.username !== activeDirectUser
+                  ) {
                     e.currentTarget.style.backgroundColor = "transparent";
                   }
                 }}
@@ -1208,37 +4267,65 @@ const ChatApp = () => {
                 >
                   {user.username.charAt(0).toUpperCase()}
                 </div>
-                <span
-                  style={{
-                    flex: 1,
-                    fontSize: "14px",
-                    fontWeight: "500",
-                    color: "#1f2937",
-                    overflow: "hidden",
-                    textOverflow: "ellipsis",
-                    whiteSpace: "nowrap",
-                  }}
-                >
-                  {user.username}
-                  {user.username === username && (
-                    <span
-                      style={{
-                        marginLeft: "6px",
-                        fontSize: "12px",
-                        color: "#6b7280",
-                        fontWeight: "400",
-                      }}
-                    >
-                      (You)
-                    </span>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div
+                    style={{
+                      fontSize: "14px",
+                      fontWeight: "500",
+                      color: user.status === "offline" ? "#9ca3af" : "#1f2937",
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                      whiteSpace: "nowrap",
+                    }}
+                  >
+                    {user.username}
+                    {user.username === username && (
+                      <span
+                        style={{
+                          marginLeft: "6px",
+                          fontSize: "12px",
+                          color: "#6b7280",
+                          fontWeight: "400",
+                        }}
+                      >
+                        (You)
+                      </span>
+                    )}
+                  </div>
+                  {user.status !== "online" && (
+                    <div style={{ fontSize: "12px", color: "#6b7280" }}>
+                      {describePresence(user, now)}
+                    </div>
                   )}
-                </span>
+                </div>
+                {unreadDirect[user.username] > 0 && (
+                  <span
+                    style={{
+                      minWidth: "20px",
+                      height: "20px",
+                      padding: "0 6px",
+                      borderRadius: "10px",
+                      backgroundColor: "#667eea",
+                      color: "white",
+                      fontSize: "11px",
+                      fontWeight: "600",
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      flexShrink: 0,
+                    }}
+                  >
+                    {unreadDirect[user.username]}
+                  </span>
+                )}
                 <div
+                  title={describePresence(user, now)}
                   style={{
                     width: "8px",
                     height: "8px",
                     borderRadius: "50%",
-                    backgroundColor: "#10b981",
+                    backgroundColor:
+                      PRESENCE_COLORS[user.status] || PRESENCE_COLORS.online,
                     flexShrink: 0,
                   }}
                 />
@@ -1248,6 +4335,53 @@ const ChatApp = () => {
         </div>
       </div>
 
+      {fullEmojiPickerFor && (
+        <div
+          onClick={() => setFullEmojiPickerFor(null)}
+          onKeyDown={(e) => e.key === "Escape" && setFullEmojiPickerFor(null)}
+          style={{
+            position: "fixed",
+            inset: 0,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            backgroundColor: "rgba(0, 0, 0, 0.2)",
+            zIndex: 50,
+          }}
+        >
+          <div onClick={(e) => e.stopPropagation()}>
+            <EmojiPicker
+              onEmojiClick={({ emoji }) =>
+                handleReaction(fullEmojiPickerFor, emoji)
+              }
+              emojiStyle={EmojiStyle.NATIVE}
+              autoFocusSearch
+              lazyLoadEmojis
+              previewConfig={{ showPreview: false }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Muted names stay listed after leaving the room or losing sight of
+          the user, so they can still be unmuted. */}
+      {isSettingsOpen && (
+        <NotificationSettings
+          prefs={notificationPrefs}
+          onChange={handleNotificationPrefsChange}
+          permission={notificationPermission}
+          onRequestPermission={handleRequestNotificationPermission}
+          rooms={[
+            ...new Set([
+              ...joinedRooms.map((r) => r.name),
+              ...notificationPrefs.mutedRooms,
+            ]),
+          ]}
+          users={[...new Set([...knownUsers, ...notificationPrefs.mutedUsers])]}
+          onClose={() => setIsSettingsOpen(false)}
+        />
+      )}
+
       <style>{`
         @keyframes bounce {
           0%, 80%, 100% {
@@ -1272,8 +4406,13 @@ const ChatApp = () => {
         
         .read-receipt.failed {
           color: #ef4444;
-          font-size: 16px;
+          font-size: 12px;
           font-weight: bold;
+          background: white;
+          border: none;
+          border-radius: 8px;
+          padding: 0 6px;
+          cursor: pointer;
         }
 
         *::-webkit-scrollbar {
@@ -1298,6 +4437,13 @@ const ChatApp = () => {
           .sidebar {
             display: none;
           }
+
+          .thread-panel {
+            position: absolute;
+            right: 0;
+            height: 100%;
+            z-index: 20;
+          }
         }
       `}</style>
     </div>
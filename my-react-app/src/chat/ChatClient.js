@@ -0,0 +1,370 @@
+import * as signalR from "@microsoft/signalr";
+
+const PING_INTERVAL_MS = 30000;
+
+/**
+ * Events emitted by ChatClient. Each hub callback is turned into one event
+ * with a single payload object, so handlers don't depend on argument order.
+ *
+ * @typedef {"disconnected" | "connecting" | "connected" | "reconnecting"}
+ *   ConnectionStatus
+ *
+ * @typedef {Object} ChatEventMap
+ * @property {{ status: ConnectionStatus, error?: Error }} status
+ * @property {{ id: string, user: string, text: string, room: string,
+ *   replyTo: string | null, attachments: Object[] }} message
+ * @property {{ id: string, fromUser: string, toUser: string, text: string,
+ *   sentAt: string }} privateMessage `sentAt` is when the server accepted
+ *   it, which is earlier than now for a DM held while the recipient was
+ *   offline.
+ * @property {{ id: string, fromUser: string, text: string,
+ *   room: string | null }} notification `room` is null for a DM.
+ * @property {{ id: string, fromUser: string, text: string,
+ *   room: string }} mention Sent only to the users a room message mentions.
+ * @property {{ user: string }} userJoined
+ * @property {{ user: string, room: string }} typing
+ * @property {{ user: string, room: string }} stoppedTyping
+ * @property {{ id: string, text: string, editedAt: string }} messageEdited
+ * @property {{ id: string }} messageDeleted
+ * @property {{ id: string, reactions: Object<string, string[]>,
+ *   version: number }} reactionsUpdated All reactions on a room message (emoji
+ *   to the users who reacted with it). Drop updates older than the last one.
+ * @property {{ id: string, user: string, emoji: string,
+ *   added: boolean }} reactionChanged One user's change on a DM message.
+ * @property {{ id: string, user: string, seenAt: string }} seen
+ * @property {{ user: string }} publicKeysChanged The user published a new
+ *   encryption key; refetch their keys before encrypting for them again.
+ * @property {{ action: "message" | "typing" | "reaction",
+ *   reason: "rate" | "duplicate", retryAfterMs: number,
+ *   messageId: string | null }} rateLimited The server refused a call, either
+ *   for going too fast (retry after `retryAfterMs`) or, for a message, for
+ *   repeating one just sent. The call itself fails, except for typing.
+ * @property {{ rooms: Object[] }} rooms
+ * @property {{ users: UserPresence[] }} users
+ *
+ * @typedef {Object} UserPresence
+ * @property {string} username
+ * @property {"online" | "away" | "dnd" | "offline"} status
+ * @property {string | null} lastSeen When an away user went away, or when an
+ *   offline user's last connection closed.
+ */
+
+// Hub callback name -> [event name, maps the callback arguments to a payload].
+const HUB_EVENTS = {
+  ReceiveMessage: [
+    "message",
+    (user, text, id, room, replyTo, attachments) => ({
+      id,
+      user,
+      text,
+      room,
+      replyTo: replyTo || null,
+      attachments: attachments || [],
+    }),
+  ],
+  ReceivePrivateMessage: [
+    "privateMessage",
+    (fromUser, toUser, text, id, sentAt) => ({
+      id,
+      fromUser,
+      toUser,
+      text,
+      sentAt,
+    }),
+  ],
+  ReceiveNotification: [
+    "notification",
+    (fromUser, text, id, room) => ({ id, fromUser, text, room: room || null }),
+  ],
+  ReceiveMention: [
+    "mention",
+    (fromUser, text, id, room) => ({ id, fromUser, text, room }),
+  ],
+  NotifyNewUser: ["userJoined", (user) => ({ user })],
+  UserTyping: ["typing", (user, room) => ({ user, room })],
+  UserStoppedTyping: ["stoppedTyping", (user, room) => ({ user, room })],
+  MessageEdited: [
+    "messageEdited",
+    (id, text, editedAt) => ({ id, text, editedAt }),
+  ],
+  MessageDeleted: ["messageDeleted", (id) => ({ id })],
+  ReactionsUpdated: [
+    "reactionsUpdated",
+    (id, reactions, version) => ({ id, reactions, version }),
+  ],
+  ReactionChanged: [
+    "reactionChanged",
+    (id, user, emoji, added) => ({ id, user, emoji, added }),
+  ],
+  MessageSeen: ["seen", (id, user, seenAt) => ({ id, user, seenAt })],
+  PublicKeysChanged: ["publicKeysChanged", (user) => ({ user })],
+  RateLimited: [
+    "rateLimited",
+    ({ action, reason, retryAfterMs, messageId }) => ({
+      action,
+      reason,
+      retryAfterMs,
+      messageId: messageId || null,
+    }),
+  ],
+  UpdateRoomList: ["rooms", (rooms) => ({ rooms })],
+  UpdateUserList: ["users", (users) => ({ users })],
+};
+
+export const CHAT_EVENTS = [
+  "status",
+  ...Object.values(HUB_EVENTS).map(([event]) => event),
+];
+
+const DEFAULT_RECONNECT = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxElapsedMs: 60000,
+};
+
+// Exponential backoff from initialDelayMs, capped at maxDelayMs, giving up
+// once reconnecting has taken maxElapsedMs.
+export const createReconnectPolicy = ({
+  initialDelayMs,
+  maxDelayMs,
+  maxElapsedMs,
+} = DEFAULT_RECONNECT) => ({
+  nextRetryDelayInMilliseconds: (retryContext) => {
+    if (retryContext.elapsedMilliseconds < maxElapsedMs) {
+      return Math.min(
+        initialDelayMs * Math.pow(2, retryContext.previousRetryCount),
+        maxDelayMs
+      );
+    }
+    return null;
+  },
+});
+
+export const createHubConnection = (
+  url,
+  accessTokenFactory,
+  {
+    logLevel = signalR.LogLevel.Information,
+    reconnect = DEFAULT_RECONNECT,
+  } = {}
+) =>
+  new signalR.HubConnectionBuilder()
+    .withUrl(url, { accessTokenFactory })
+    .withAutomaticReconnect(createReconnectPolicy(reconnect))
+    .configureLogging(logLevel)
+    .build();
+
+/**
+ * Wraps a SignalR HubConnection to the chat hub: connection lifecycle, the
+ * keep-alive ping, typed events and one method per hub call.
+ *
+ * Pass `createConnection` to supply the HubConnection yourself (for example a
+ * fake one); by default it is built with createHubConnection.
+ */
+export class ChatClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url Hub URL, including any query string.
+   * @param {() => string | Promise<string>} options.accessTokenFactory
+   * @param {string | signalR.LogLevel} [options.logLevel]
+   * @param {{ initialDelayMs: number, maxDelayMs: number,
+   *   maxElapsedMs: number }} [options.reconnect]
+   * @param {(url: string, accessTokenFactory: Function, settings: Object) =>
+   *   signalR.HubConnection} [options.createConnection]
+   * @param {number} [options.pingIntervalMs]
+   */
+  constructor({
+    url,
+    accessTokenFactory,
+    logLevel,
+    reconnect,
+    createConnection = createHubConnection,
+    pingIntervalMs = PING_INTERVAL_MS,
+  }) {
+    this.connection = createConnection(url, accessTokenFactory, {
+      logLevel,
+      reconnect,
+    });
+    this.pingIntervalMs = pingIntervalMs;
+    this.pingInterval = null;
+    this.handlers = new Map();
+
+    Object.entries(HUB_EVENTS).forEach(([method, [event, toPayload]]) => {
+      this.connection.on(method, (...args) =>
+        this.emit(event, toPayload(...args))
+      );
+    });
+
+    this.connection.onreconnecting((error) =>
+      this.emit("status", { status: "reconnecting", error })
+    );
+    this.connection.onreconnected(() =>
+      this.emit("status", { status: "connected" })
+    );
+    this.connection.onclose((error) => {
+      this.stopPing();
+      this.emit("status", { status: "disconnected", error });
+    });
+  }
+
+  get isConnected() {
+    return this.connection.state === signalR.HubConnectionState.Connected;
+  }
+
+  /**
+   * Subscribes to an event. Returns a function that unsubscribes.
+   *
+   * @template {keyof ChatEventMap} K
+   * @param {K} event
+   * @param {(payload: ChatEventMap[K]) => void} handler
+   * @returns {() => void}
+   */
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+    this.handlers.get(event).add(handler);
+    return () => this.handlers.get(event).delete(handler);
+  }
+
+  emit(event, payload) {
+    this.handlers.get(event)?.forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (err) {
+        console.error(`Error in ${event} handler:`, err);
+      }
+    });
+  }
+
+  async start() {
+    this.emit("status", { status: "connecting" });
+    try {
+      await this.connection.start();
+    } catch (err) {
+      this.emit("status", { status: "disconnected", error: err });
+      throw err;
+    }
+    this.startPing();
+    this.emit("status", { status: "connected" });
+  }
+
+  async stop() {
+    this.stopPing();
+    if (this.connection.state !== signalR.HubConnectionState.Disconnected) {
+      await this.connection.stop();
+    }
+  }
+
+  startPing() {
+    this.stopPing();
+    this.pingInterval = setInterval(() => {
+      if (this.isConnected) {
+        this.connection
+          .invoke("Ping")
+          .catch((err) => console.error("Ping failed:", err));
+      }
+    }, this.pingIntervalMs);
+  }
+
+  stopPing() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+  }
+
+  /**
+   * Sends a message to a room. `id` is generated by the caller so a resend
+   * is recognised as a duplicate by the server.
+   */
+  sendMessage({ id, text, room, replyTo = null, attachmentIds = [] }) {
+    return this.connection.invoke(
+      "SendToRoom",
+      text,
+      id,
+      room,
+      replyTo,
+      attachmentIds
+    );
+  }
+
+  sendPrivateMessage({ id, text, toUser }) {
+    return this.connection.invoke("SendPrivateMessage", toUser, text, id);
+  }
+
+  editMessage(id, text) {
+    return this.connection.invoke("EditMessage", id, text);
+  }
+
+  deleteMessage(id) {
+    return this.connection.invoke("DeleteMessage", id);
+  }
+
+  // `conversation` is a room name, or "@user" for a DM thread.
+  addReaction(id, emoji, conversation) {
+    return this.connection.invoke("AddReaction", id, emoji, conversation);
+  }
+
+  removeReaction(id, emoji, conversation) {
+    return this.connection.invoke("RemoveReaction", id, emoji, conversation);
+  }
+
+  markSeen(id, conversation) {
+    return this.connection.invoke("MarkSeen", id, conversation);
+  }
+
+  // Registers this browser's push subscription for the user, so pushes reach
+  // it while no tab is connected.
+  subscribePush({ endpoint, p256dh, auth }) {
+    return this.connection.invoke("SubscribePush", endpoint, p256dh, auth);
+  }
+
+  unsubscribePush(endpoint) {
+    return this.connection.invoke("UnsubscribePush", endpoint);
+  }
+
+  // Adds this browser's key to the directory for end-to-end encrypted DMs.
+  // Resolves with its key ID, or null if the server rejected the key.
+  publishPublicKey(publicKey) {
+    return this.connection.invoke("PublishPublicKey", publicKey);
+  }
+
+  // Resolves with [{ keyId, publicKey, publishedAt }], one per device.
+  getPublicKeys(username) {
+    return this.connection.invoke("GetPublicKeys", username);
+  }
+
+  typing(room) {
+    return this.connection.invoke("StartTyping", room);
+  }
+
+  stopTyping(room) {
+    return this.connection.invoke("StopTyping", room);
+  }
+
+  // "online", "away" or "dnd" for this connection.
+  setPresence(status) {
+    return this.connection.invoke("SetPresence", status);
+  }
+
+  getRooms() {
+    return this.connection.invoke("GetRooms");
+  }
+
+  createRoom(room) {
+    return this.connection.invoke("CreateRoom", room);
+  }
+
+  joinRoom(room) {
+    return this.connection.invoke("JoinRoom", room);
+  }
+
+  leaveRoom(room) {
+    return this.connection.invoke("LeaveRoom", room);
+  }
+
+  // Tells the server this is a deliberate logout rather than a page refresh,
+  // so the user is removed without the reconnection grace period.
+  logout() {
+    return this.connection.invoke("Logout");
+  }
+}
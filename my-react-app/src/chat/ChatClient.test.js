@@ -0,0 +1,391 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { HubConnectionState } from "@microsoft/signalr";
+import { ChatClient } from "./ChatClient";
+
+// Stands in for a HubConnection: records callbacks and lets tests fire them.
+const createFakeConnection = () => {
+  const callbacks = new Map();
+  const connection = {
+    state: HubConnectionState.Disconnected,
+    on: vi.fn((method, callback) => callbacks.set(method, callback)),
+    onreconnecting: vi.fn((cb) => (connection.fireReconnecting = cb)),
+    onreconnected: vi.fn((cb) => (connection.fireReconnected = cb)),
+    onclose: vi.fn((cb) => (connection.fireClose = cb)),
+    start: vi.fn(async () => {
+      connection.state = HubConnectionState.Connected;
+    }),
+    stop: vi.fn(async () => {
+      connection.state = HubConnectionState.Disconnected;
+    }),
+    invoke: vi.fn(async () => undefined),
+    fire: (method, ...args) => callbacks.get(method)(...args),
+  };
+  return connection;
+};
+
+const createClient = (options = {}) => {
+  const connection = createFakeConnection();
+  const client = new ChatClient({
+    url: "https://example.test/chatHub",
+    accessTokenFactory: () => "token",
+    createConnection: () => connection,
+    ...options,
+  });
+  return { client, connection };
+};
+
+describe("ChatClient", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("hub callbacks", () => {
+    it("turns ReceiveMessage arguments into a message payload", () => {
+      const { client, connection } = createClient();
+      const handler = vi.fn();
+      client.on("message", handler);
+
+      const attachments = [{ attachmentId: "a1" }];
+      connection.fire(
+        "ReceiveMessage",
+        "alice",
+        "hello",
+        "m1",
+        "general",
+        "m0",
+        attachments
+      );
+
+      expect(handler).toHaveBeenCalledWith({
+        id: "m1",
+        user: "alice",
+        text: "hello",
+        room: "general",
+        replyTo: "m0",
+        attachments,
+      });
+    });
+
+    it("defaults a missing reply and attachments", () => {
+      const { client, connection } = createClient();
+      const handler = vi.fn();
+      client.on("message", handler);
+
+      connection.fire("ReceiveMessage", "alice", "hi", "m1", "general");
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ replyTo: null, attachments: [] })
+      );
+    });
+
+    it.each([
+      [
+        "ReceivePrivateMessage",
+        ["alice", "bob", "hey", "m2", "2024-01-01T00:00:00Z"],
+        "privateMessage",
+        {
+          id: "m2",
+          fromUser: "alice",
+          toUser: "bob",
+          text: "hey",
+          sentAt: "2024-01-01T00:00:00Z",
+        },
+      ],
+      [
+        "ReceiveNotification",
+        ["alice", "hey", "m2", null],
+        "notification",
+        { id: "m2", fromUser: "alice", text: "hey", room: null },
+      ],
+      [
+        "ReceiveMention",
+        ["alice", "@bob hi", "m3", "general"],
+        "mention",
+        { id: "m3", fromUser: "alice", text: "@bob hi", room: "general" },
+      ],
+      ["NotifyNewUser", ["carol"], "userJoined", { user: "carol" }],
+      [
+        "UserTyping",
+        ["alice", "general"],
+        "typing",
+        { user: "alice", room: "general" },
+      ],
+      [
+        "UserStoppedTyping",
+        ["alice", "general"],
+        "stoppedTyping",
+        { user: "alice", room: "general" },
+      ],
+      [
+        "MessageEdited",
+        ["m1", "edited", "2024-01-01T00:00:00Z"],
+        "messageEdited",
+        { id: "m1", text: "edited", editedAt: "2024-01-01T00:00:00Z" },
+      ],
+      ["MessageDeleted", ["m1"], "messageDeleted", { id: "m1" }],
+      [
+        "ReactionsUpdated",
+        ["m1", { "👍": ["alice"] }, 3],
+        "reactionsUpdated",
+        { id: "m1", reactions: { "👍": ["alice"] }, version: 3 },
+      ],
+      [
+        "ReactionChanged",
+        ["m1", "alice", "👍", true],
+        "reactionChanged",
+        { id: "m1", user: "alice", emoji: "👍", added: true },
+      ],
+      [
+        "MessageSeen",
+        ["m1", "bob", "2024-01-01T00:00:00Z"],
+        "seen",
+        { id: "m1", user: "bob", seenAt: "2024-01-01T00:00:00Z" },
+      ],
+      ["PublicKeysChanged", ["bob"], "publicKeysChanged", { user: "bob" }],
+      [
+        "RateLimited",
+        [{ action: "message", reason: "rate", retryAfterMs: 500 }],
+        "rateLimited",
+        {
+          action: "message",
+          reason: "rate",
+          retryAfterMs: 500,
+          messageId: null,
+        },
+      ],
+      [
+        "UpdateRoomList",
+        [[{ name: "general" }]],
+        "rooms",
+        { rooms: [{ name: "general" }] },
+      ],
+      [
+        "UpdateUserList",
+        [[{ username: "bob" }]],
+        "users",
+        { users: [{ username: "bob" }] },
+      ],
+    ])("turns %s into a %s event", (method, args, event, payload) => {
+      const { client, connection } = createClient();
+      const handler = vi.fn();
+      client.on(event, handler);
+
+      connection.fire(method, ...args);
+
+      expect(handler).toHaveBeenCalledWith(payload);
+    });
+
+    it("stops calling a handler once it unsubscribes", () => {
+      const { client, connection } = createClient();
+      const handler = vi.fn();
+      const unsubscribe = client.on("messageDeleted", handler);
+
+      unsubscribe();
+      connection.fire("MessageDeleted", "m1");
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("keeps calling other handlers when one throws", () => {
+      const { client, connection } = createClient();
+      const error = vi.spyOn(console, "error").mockImplementation(() => {});
+      const failing = vi.fn(() => {
+        throw new Error("boom");
+      });
+      const working = vi.fn();
+      client.on("messageDeleted", failing);
+      client.on("messageDeleted", working);
+
+      connection.fire("MessageDeleted", "m1");
+
+      expect(failing).toHaveBeenCalled();
+      expect(working).toHaveBeenCalledWith({ id: "m1" });
+      expect(error).toHaveBeenCalled();
+      error.mockRestore();
+    });
+  });
+
+  describe("hub calls", () => {
+    it("sends a room message as SendToRoom(text, id, room, reply, ids)", () => {
+      const { client, connection } = createClient();
+
+      client.sendMessage({
+        id: "m1",
+        text: "hello",
+        room: "general",
+        replyTo: "m0",
+        attachmentIds: ["a1"],
+      });
+
+      expect(connection.invoke).toHaveBeenCalledWith(
+        "SendToRoom",
+        "hello",
+        "m1",
+        "general",
+        "m0",
+        ["a1"]
+      );
+    });
+
+    it("defaults the reply and attachments of a room message", () => {
+      const { client, connection } = createClient();
+
+      client.sendMessage({ id: "m1", text: "hello", room: "general" });
+
+      expect(connection.invoke).toHaveBeenCalledWith(
+        "SendToRoom",
+        "hello",
+        "m1",
+        "general",
+        null,
+        []
+      );
+    });
+
+    it("sends a DM as SendPrivateMessage(toUser, text, id)", () => {
+      const { client, connection } = createClient();
+
+      client.sendPrivateMessage({ id: "m1", text: "hey", toUser: "bob" });
+
+      expect(connection.invoke).toHaveBeenCalledWith(
+        "SendPrivateMessage",
+        "bob",
+        "hey",
+        "m1"
+      );
+    });
+
+    it("marks a message seen as MarkSeen(id, conversation)", () => {
+      const { client, connection } = createClient();
+
+      client.markSeen("m1", "@bob");
+
+      expect(connection.invoke).toHaveBeenCalledWith("MarkSeen", "m1", "@bob");
+    });
+
+    it("reports typing as StartTyping(room) and StopTyping(room)", () => {
+      const { client, connection } = createClient();
+
+      client.typing("general");
+      client.stopTyping("general");
+
+      expect(connection.invoke).toHaveBeenNthCalledWith(
+        1,
+        "StartTyping",
+        "general"
+      );
+      expect(connection.invoke).toHaveBeenNthCalledWith(
+        2,
+        "StopTyping",
+        "general"
+      );
+    });
+
+    it("returns the hub's result", async () => {
+      const { client, connection } = createClient();
+      connection.invoke.mockResolvedValueOnce([{ name: "general" }]);
+
+      await expect(client.getRooms()).resolves.toEqual([{ name: "general" }]);
+    });
+  });
+
+  describe("connection status", () => {
+    it("emits connecting then connected on start", async () => {
+      const { client } = createClient();
+      const statuses = [];
+      client.on("status", ({ status }) => statuses.push(status));
+
+      await client.start();
+
+      expect(statuses).toEqual(["connecting", "connected"]);
+      expect(client.isConnected).toBe(true);
+    });
+
+    it("emits disconnected with the error when start fails", async () => {
+      const { client, connection } = createClient();
+      const error = new Error("unauthorized");
+      connection.start.mockRejectedValueOnce(error);
+      const handler = vi.fn();
+      client.on("status", handler);
+
+      await expect(client.start()).rejects.toBe(error);
+
+      expect(handler).toHaveBeenLastCalledWith({
+        status: "disconnected",
+        error,
+      });
+    });
+
+    it("emits reconnecting, connected and disconnected", () => {
+      const { client, connection } = createClient();
+      const handler = vi.fn();
+      client.on("status", handler);
+      const error = new Error("dropped");
+
+      connection.fireReconnecting(error);
+      connection.fireReconnected("new-id");
+      connection.fireClose(error);
+
+      expect(handler.mock.calls.map(([payload]) => payload)).toEqual([
+        { status: "reconnecting", error },
+        { status: "connected" },
+        { status: "disconnected", error },
+      ]);
+    });
+  });
+
+  describe("keep-alive ping", () => {
+    const pings = (connection) =>
+      connection.invoke.mock.calls.filter(([method]) => method === "Ping");
+
+    it("pings on an interval once started", async () => {
+      const { client, connection } = createClient({ pingIntervalMs: 1000 });
+
+      await client.start();
+      vi.advanceTimersByTime(3000);
+
+      expect(pings(connection)).toHaveLength(3);
+    });
+
+    it("doesn't ping before start", () => {
+      const { connection } = createClient({ pingIntervalMs: 1000 });
+
+      vi.advanceTimersByTime(3000);
+
+      expect(pings(connection)).toHaveLength(0);
+    });
+
+    it("stops pinging when the connection closes", async () => {
+      const { client, connection } = createClient({ pingIntervalMs: 1000 });
+
+      await client.start();
+      connection.fireClose();
+      vi.advanceTimersByTime(3000);
+
+      expect(pings(connection)).toHaveLength(0);
+    });
+
+    it("stops pinging and the connection on stop()", async () => {
+      const { client, connection } = createClient({ pingIntervalMs: 1000 });
+
+      await client.start();
+      await client.stop();
+      vi.advanceTimersByTime(3000);
+
+      expect(connection.stop).toHaveBeenCalled();
+      expect(pings(connection)).toHaveLength(0);
+    });
+
+    it("doesn't stop a connection that is already disconnected", async () => {
+      const { client, connection } = createClient();
+
+      await client.stop();
+
+      expect(connection.stop).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { isE2ESupported } from "./e2e";
+import { SettingsToggle } from "./SettingsControls";
+
+// The encryption settings of a DM thread, with the fingerprints to compare
+// over another channel (e.g. in person) to rule out a server in the middle.
+export const EncryptionPanel = ({
+  partner,
+  isEnabled,
+  onToggle,
+  ownFingerprint,
+  partnerKeys,
+}) => (
+  <div
+    style={{
+      position: "absolute",
+      top: "calc(100% + 8px)",
+      right: 0,
+      width: "320px",
+      padding: "16px",
+      backgroundColor: "white",
+      borderRadius: "12px",
+      boxShadow: "0 8px 24px rgba(0, 0, 0, 0.15)",
+      fontSize: "13px",
+      color: "#374151",
+      zIndex: 30,
+    }}
+  >
+    {!isE2ESupported() ? (
+      <p style={{ color: "#9ca3af" }}>
+        This browser can&apos;t encrypt messages. Open the chat over HTTPS in a
+        current browser.
+      </p>
+    ) : (
+      <>
+        <SettingsToggle
+          label="Encrypt messages in this chat"
+          hint={
+            partnerKeys?.length === 0
+              ? `${partner} hasn't opened the chat in a browser that can ` +
+                "decrypt yet."
+              : "Only your and their browsers can read them."
+          }
+          checked={isEnabled}
+          disabled={!partnerKeys?.length && !isEnabled}
+          onChange={onToggle}
+        />
+        <div style={{ marginTop: "10px", fontWeight: "600" }}>
+          Your key on this device
+        </div>
+        <code style={{ display: "block", marginTop: "2px" }}>
+          {ownFingerprint || "..."}
+        </code>
+        <div style={{ marginTop: "10px", fontWeight: "600" }}>
+          {partner}&apos;s keys
+        </div>
+        {partnerKeys === null ? (
+          <p style={{ color: "#9ca3af" }}>Loading...</p>
+        ) : partnerKeys.length === 0 ? (
+          <p style={{ color: "#9ca3af" }}>None yet.</p>
+        ) : (
+          partnerKeys.map((key) => (
+            <div key={key.keyId} style={{ marginTop: "4px" }}>
+              <code>{key.fingerprint}</code>
+              <span
+                style={{ display: "block", fontSize: "11px", color: "#9ca3af" }}
+              >
+                Added {new Date(key.publishedAt).toLocaleDateString()}
+              </span>
+            </div>
+          ))
+        )}
+        <p style={{ marginTop: "10px", fontSize: "12px", color: "#6b7280" }}>
+          Compare these with {partner} in person or on a call. Each browser they
+          use has its own key; one you don&apos;t recognise could be someone
+          listening in.
+        </p>
+      </>
+    )}
+  </div>
+);
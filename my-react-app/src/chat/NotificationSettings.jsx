@@ -0,0 +1,214 @@
+// The notification preferences panel: desktop notification permission,
+// muting, quiet hours and per-room and per-user mutes.
+
+import { X } from "lucide-react";
+import { isPushSupported } from "../push";
+import { SettingsSection, SettingsToggle } from "./SettingsControls";
+
+const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")}`;
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Mute lists of rooms or users, one checkbox each.
+const MuteList = ({ names, muted, format, onChange }) =>
+  names.length === 0 ? (
+    <p style={{ fontSize: "13px", color: "#9ca3af" }}>Nothing here yet.</p>
+  ) : (
+    names.map((name) => (
+      <SettingsToggle
+        key={name}
+        label={format(name)}
+        checked={muted.includes(name)}
+        onChange={(isMuted) =>
+          onChange(isMuted ? [...muted, name] : muted.filter((n) => n !== name))
+        }
+      />
+    ))
+  );
+
+// The notification preferences panel. Changes are saved as they are made.
+export const NotificationSettings = ({
+  prefs,
+  onChange,
+  permission,
+  onRequestPermission,
+  rooms,
+  users,
+  onClose,
+}) => (
+  <div
+    onClick={onClose}
+    style={{
+      position: "fixed",
+      inset: 0,
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      backgroundColor: "rgba(0, 0, 0, 0.3)",
+      zIndex: 50,
+    }}
+  >
+    <div
+      onClick={(e) => e.stopPropagation()}
+      style={{
+        width: "420px",
+        maxWidth: "calc(100vw - 32px)",
+        maxHeight: "calc(100vh - 64px)",
+        overflowY: "auto",
+        padding: "20px 24px",
+        backgroundColor: "white",
+        borderRadius: "16px",
+        boxShadow: "0 20px 50px rgba(0, 0, 0, 0.25)",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+        }}
+      >
+        <h2 style={{ fontSize: "18px", color: "#1f2937" }}>Notifications</h2>
+        <button
+          onClick={onClose}
+          title="Close"
+          style={{
+            background: "none",
+            border: "none",
+            cursor: "pointer",
+            color: "#6b7280",
+            display: "flex",
+          }}
+        >
+          <X size={20} />
+        </button>
+      </div>
+
+      <SettingsSection title="Desktop notifications">
+        {permission === "granted" ? (
+          <p style={{ fontSize: "13px", color: "#10b981" }}>
+            Desktop notifications are allowed in this browser.
+            {isPushSupported() && " They also arrive while the chat is closed."}
+          </p>
+        ) : permission === "denied" ? (
+          <p style={{ fontSize: "13px", color: "#dc2626" }}>
+            Notifications are blocked. Allow them in your browser&apos;s site
+            settings.
+          </p>
+        ) : permission === "unsupported" ? (
+          <p style={{ fontSize: "13px", color: "#9ca3af" }}>
+            This browser doesn&apos;t support desktop notifications.
+          </p>
+        ) : (
+          <button
+            onClick={onRequestPermission}
+            style={{
+              padding: "8px 14px",
+              border: "none",
+              borderRadius: "8px",
+              background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+              color: "white",
+              fontSize: "13px",
+              fontWeight: "600",
+              cursor: "pointer",
+            }}
+          >
+            Enable desktop notifications
+          </button>
+        )}
+      </SettingsSection>
+
+      <SettingsSection title="General">
+        <SettingsToggle
+          label="Mute all notifications"
+          checked={prefs.muteAll}
+          onChange={(muteAll) => onChange({ muteAll })}
+        />
+        <SettingsToggle
+          label="Mentions only"
+          hint="Only notify me when someone @mentions me"
+          checked={prefs.mentionsOnly}
+          disabled={prefs.muteAll}
+          onChange={(mentionsOnly) => onChange({ mentionsOnly })}
+        />
+        <SettingsToggle
+          label="Show message previews"
+          hint="Include the message text in notifications"
+          checked={prefs.showPreviews}
+          disabled={prefs.muteAll}
+          onChange={(showPreviews) => onChange({ showPreviews })}
+        />
+        <SettingsToggle
+          label="Play a sound"
+          checked={prefs.sound}
+          disabled={prefs.muteAll}
+          onChange={(sound) => onChange({ sound })}
+        />
+      </SettingsSection>
+
+      <SettingsSection title="Quiet hours">
+        <SettingsToggle
+          label="Don't notify me during quiet hours"
+          checked={prefs.quietHoursEnabled}
+          disabled={prefs.muteAll}
+          onChange={(quietHoursEnabled) => onChange({ quietHoursEnabled })}
+        />
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "8px",
+            paddingLeft: "24px",
+            fontSize: "13px",
+            color: "#6b7280",
+          }}
+        >
+          From
+          <input
+            type="time"
+            value={minutesToTime(prefs.quietHoursStart)}
+            disabled={!prefs.quietHoursEnabled || prefs.muteAll}
+            onChange={(e) =>
+              e.target.value &&
+              onChange({ quietHoursStart: timeToMinutes(e.target.value) })
+            }
+          />
+          to
+          <input
+            type="time"
+            value={minutesToTime(prefs.quietHoursEnd)}
+            disabled={!prefs.quietHoursEnabled || prefs.muteAll}
+            onChange={(e) =>
+              e.target.value &&
+              onChange({ quietHoursEnd: timeToMinutes(e.target.value) })
+            }
+          />
+        </div>
+      </SettingsSection>
+
+      <SettingsSection title="Muted rooms">
+        <MuteList
+          names={rooms}
+          muted={prefs.mutedRooms}
+          format={(room) => `#${room}`}
+          onChange={(mutedRooms) => onChange({ mutedRooms })}
+        />
+      </SettingsSection>
+
+      <SettingsSection title="Muted people">
+        <MuteList
+          names={users}
+          muted={prefs.mutedUsers}
+          format={(user) => user}
+          onChange={(mutedUsers) => onChange({ mutedUsers })}
+        />
+      </SettingsSection>
+    </div>
+  </div>
+);
@@ -0,0 +1,258 @@
+// The header search box with its sender and date filters, and the list of
+// matches with the messages around them.
+import { useEffect, useRef } from "react";
+import { Search, X } from "lucide-react";
+import { toPlainText } from "./markdownText";
+import { EMPTY_SEARCH, toSearchTerms } from "./search";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Renders text with every occurrence of the search terms marked.
+const HighlightedText = ({ text, terms }) => {
+  if (terms.length === 0) return text;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  // Splitting on a capturing group puts the matches at the odd indexes.
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark
+        key={i}
+        style={{ backgroundColor: "#fde68a", color: "inherit", padding: 0 }}
+      >
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+const SearchContextLine = ({ msg }) => (
+  <div
+    style={{
+      fontSize: "12px",
+      color: "#9ca3af",
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    }}
+  >
+    {msg.user}: {toPlainText(msg.text)}
+  </div>
+);
+
+// One search match between its context lines. Clicking it jumps to the match.
+const SearchResult = ({ result, terms, onSelect }) => (
+  <button
+    onClick={() => onSelect(result.message.id)}
+    style={{
+      display: "block",
+      width: "100%",
+      textAlign: "left",
+      background: "none",
+      border: "none",
+      borderTop: "1px solid #f3f4f6",
+      padding: "10px 4px",
+      cursor: "pointer",
+    }}
+    onMouseEnter={(e) => (e.currentTarget.style.backgroundColor = "#f9fafb")}
+    onMouseLeave={(e) =>
+      (e.currentTarget.style.backgroundColor = "transparent")
+    }
+  >
+    {result.before.map((msg) => (
+      <SearchContextLine key={msg.id} msg={msg} />
+    ))}
+    <div style={{ margin: "4px 0", fontSize: "14px", color: "#1f2937" }}>
+      <div style={{ display: "flex", gap: "8px", alignItems: "baseline" }}>
+        <strong style={{ fontSize: "13px" }}>{result.message.user}</strong>
+        <span style={{ fontSize: "11px", color: "#9ca3af" }}>
+          {new Date(result.message.sentAt).toLocaleString([], {
+            dateStyle: "medium",
+            timeStyle: "short",
+          })}
+        </span>
+      </div>
+      <div style={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}>
+        <HighlightedText
+          text={toPlainText(result.message.text)}
+          terms={terms}
+        />
+      </div>
+    </div>
+    {result.after.map((msg) => (
+      <SearchContextLine key={msg.id} msg={msg} />
+    ))}
+  </button>
+);
+
+// The header search box. Focusing it opens the filters and results below it,
+// and clicking outside or pressing Escape closes them. `onSelect` gets the ID
+// of the clicked match.
+export const SearchPanel = ({
+  filters,
+  onFiltersChange,
+  isOpen,
+  onOpenChange,
+  placeholder,
+  senders,
+  results,
+  error,
+  isSearching,
+  onSelect,
+}) => {
+  const panelRef = useRef(null);
+  const terms = toSearchTerms(filters.text);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        onOpenChange(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen, onOpenChange]);
+
+  const updateFilter = (field, value) =>
+    onFiltersChange((prev) => ({ ...prev, [field]: value }));
+
+  return (
+    <div ref={panelRef} style={{ position: "relative" }}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "6px",
+          padding: "6px 10px",
+          border: "1px solid #e5e7eb",
+          borderRadius: "8px",
+          backgroundColor: "#f9fafb",
+        }}
+      >
+        <Search size={16} color="#9ca3af" />
+        <input
+          type="search"
+          value={filters.text}
+          onChange={(e) => updateFilter("text", e.target.value)}
+          onFocus={() => onOpenChange(true)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") onOpenChange(false);
+          }}
+          placeholder={placeholder}
+          style={{
+            width: "180px",
+            border: "none",
+            outline: "none",
+            background: "transparent",
+            fontSize: "14px",
+          }}
+        />
+      </div>
+
+      {isOpen && (
+        <div
+          style={{
+            position: "absolute",
+            top: "calc(100% + 8px)",
+            right: 0,
+            width: "400px",
+            maxHeight: "480px",
+            overflowY: "auto",
+            padding: "12px",
+            backgroundColor: "white",
+            borderRadius: "12px",
+            boxShadow: "0 10px 30px rgba(0, 0, 0, 0.15)",
+            zIndex: 20,
+          }}
+        >
+          <div style={{ display: "flex", gap: "8px", marginBottom: "8px" }}>
+            <input
+              list="search-senders"
+              value={filters.sender}
+              onChange={(e) => updateFilter("sender", e.target.value)}
+              placeholder="From anyone"
+              style={{
+                flex: 1,
+                minWidth: 0,
+                padding: "6px 8px",
+                border: "1px solid #e5e7eb",
+                borderRadius: "6px",
+                fontSize: "13px",
+              }}
+            />
+            <datalist id="search-senders">
+              {senders.map((sender) => (
+                <option key={sender} value={sender} />
+              ))}
+            </datalist>
+            <button
+              onClick={() => onFiltersChange(EMPTY_SEARCH)}
+              title="Clear search"
+              style={{
+                background: "none",
+                border: "none",
+                cursor: "pointer",
+                color: "#6b7280",
+                display: "flex",
+                alignItems: "center",
+              }}
+            >
+              <X size={16} />
+            </button>
+          </div>
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+              marginBottom: "8px",
+              fontSize: "12px",
+              color: "#6b7280",
+            }}
+          >
+            From
+            <input
+              type="date"
+              value={filters.since}
+              max={filters.until || undefined}
+              onChange={(e) => updateFilter("since", e.target.value)}
+              style={{ flex: 1, minWidth: 0, fontSize: "12px" }}
+            />
+            to
+            <input
+              type="date"
+              value={filters.until}
+              min={filters.since || undefined}
+              onChange={(e) => updateFilter("until", e.target.value)}
+              style={{ flex: 1, minWidth: 0, fontSize: "12px" }}
+            />
+          </div>
+
+          {error ? (
+            <p style={{ fontSize: "13px", color: "#dc2626" }}>{error}</p>
+          ) : isSearching ? (
+            <p style={{ fontSize: "13px", color: "#9ca3af" }}>Searching...</p>
+          ) : results === null ? (
+            <p style={{ fontSize: "13px", color: "#9ca3af" }}>
+              Search by text, sender or date.
+            </p>
+          ) : results.length === 0 ? (
+            <p style={{ fontSize: "13px", color: "#9ca3af" }}>
+              No messages found.
+            </p>
+          ) : (
+            results.map((result) => (
+              <SearchResult
+                key={result.message.id}
+                result={result}
+                terms={terms}
+                onSelect={onSelect}
+              />
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,56 @@
+// Building blocks of the settings panels: a labelled checkbox with an
+// optional hint, and a titled section.
+
+export const SettingsToggle = ({
+  label,
+  hint,
+  checked,
+  onChange,
+  disabled,
+}) => (
+  <label
+    style={{
+      display: "flex",
+      alignItems: "flex-start",
+      gap: "10px",
+      padding: "6px 0",
+      fontSize: "14px",
+      color: disabled ? "#9ca3af" : "#1f2937",
+      cursor: disabled ? "default" : "pointer",
+    }}
+  >
+    <input
+      type="checkbox"
+      checked={checked}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.checked)}
+      style={{ marginTop: "3px" }}
+    />
+    <span>
+      {label}
+      {hint && (
+        <span style={{ display: "block", fontSize: "12px", color: "#9ca3af" }}>
+          {hint}
+        </span>
+      )}
+    </span>
+  </label>
+);
+
+export const SettingsSection = ({ title, children }) => (
+  <div style={{ marginTop: "16px" }}>
+    <h3
+      style={{
+        marginBottom: "4px",
+        fontSize: "12px",
+        fontWeight: "600",
+        color: "#6b7280",
+        textTransform: "uppercase",
+        letterSpacing: "0.05em",
+      }}
+    >
+      {title}
+    </h3>
+    {children}
+  </div>
+);
@@ -0,0 +1,236 @@
+// End-to-end encryption for direct messages. Each browser has an ECDH P-256
+// key pair per user, kept in IndexedDB with a non-extractable private key; the
+// hub only lists the public keys. A message is encrypted once with a random
+// AES-GCM key, and that key is wrapped for every device of both participants
+// with a key derived from the sender's and that device's key pair, so
+// recipients also know which of the sender's devices wrote it.
+
+const DB_NAME = "signalr-chat-e2e";
+const DB_VERSION = 1;
+const STORE = "deviceKeys";
+const ENVELOPE_PREFIX = "e2e.v1:";
+const ECDH = { name: "ECDH", namedCurve: "P-256" };
+
+export const isE2ESupported = () =>
+  !!window.crypto?.subtle && "indexedDB" in window;
+
+export const isEncryptedText = (text) =>
+  typeof text === "string" && text.startsWith(ENVELOPE_PREFIX);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (buffer) =>
+  btoa(
+    Array.from(new Uint8Array(buffer), (b) => String.fromCharCode(b)).join("")
+  );
+
+const fromBase64 = (base64) =>
+  Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+
+const toHex = (bytes) =>
+  Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+
+const sha256 = async (base64) =>
+  new Uint8Array(await crypto.subtle.digest("SHA-256", fromBase64(base64)));
+
+// The hub derives the same ID from a published key.
+const keyIdOf = async (publicKey) =>
+  toHex((await sha256(publicKey)).slice(0, 8));
+
+/**
+ * The fingerprint users compare to verify a key: the first 16 bytes of the
+ * public key's SHA-256, as eight groups of four hex digits.
+ */
+export const fingerprintOf = async (publicKey) =>
+  toHex((await sha256(publicKey)).slice(0, 16))
+    .toUpperCase()
+    .match(/.{4}/g)
+    .join(" ");
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(STORE, { keyPath: "username" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const generateDeviceKey = async (username) => {
+  const pair = await crypto.subtle.generateKey(ECDH, false, ["deriveBits"]);
+  const publicKey = toBase64(
+    await crypto.subtle.exportKey("raw", pair.publicKey)
+  );
+  const deviceKey = {
+    username,
+    keyId: await keyIdOf(publicKey),
+    publicKey,
+    privateKey: pair.privateKey,
+  };
+  await runRequest("readwrite", (store) => store.put(deviceKey));
+  return deviceKey;
+};
+
+// One load per user and page, so concurrent callers never generate two keys.
+const deviceKeys = new Map();
+
+/**
+ * This browser's key pair for a user, generated on first use.
+ *
+ * @returns {Promise<{ keyId: string, publicKey: string,
+ *   privateKey: CryptoKey }>} `publicKey` is the raw key, base64 encoded.
+ */
+export const loadDeviceKey = (username) => {
+  if (!deviceKeys.has(username)) {
+    const loading = runRequest("readonly", (store) => store.get(username))
+      .then((stored) => stored || generateDeviceKey(username))
+      .catch((err) => {
+        deviceKeys.delete(username);
+        throw err;
+      });
+    deviceKeys.set(username, loading);
+  }
+  return deviceKeys.get(username);
+};
+
+// The AES-GCM key that wraps message keys between two devices. The key IDs
+// go into the derivation so a wrapped key only opens for that pair.
+const deriveWrappingKey = async (
+  privateKey,
+  publicKey,
+  senderId,
+  recipientId
+) => {
+  const otherKey = await crypto.subtle.importKey(
+    "raw",
+    fromBase64(publicKey),
+    ECDH,
+    false,
+    []
+  );
+  const secret = await crypto.subtle.deriveBits(
+    { name: "ECDH", public: otherKey },
+    privateKey,
+    256
+  );
+  const hkdfKey = await crypto.subtle.importKey("raw", secret, "HKDF", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(),
+      info: encoder.encode(`${ENVELOPE_PREFIX}${senderId}:${recipientId}`),
+    },
+    hkdfKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+const randomIv = () => crypto.getRandomValues(new Uint8Array(12));
+
+/**
+ * Encrypts a message for the given devices. Returns the text to send in
+ * place of the message.
+ *
+ * @param {string} text
+ * @param {{ keyId: string, privateKey: CryptoKey }} deviceKey
+ * @param {{ keyId: string, publicKey: string }[]} recipientKeys
+ */
+export const encryptText = async (text, deviceKey, recipientKeys) => {
+  const messageKey = await crypto.subtle.generateKey(
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt"]
+  );
+  const rawMessageKey = await crypto.subtle.exportKey("raw", messageKey);
+
+  const iv = randomIv();
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    messageKey,
+    encoder.encode(text)
+  );
+
+  const keys = {};
+  for (const { keyId, publicKey } of recipientKeys) {
+    const wrappingKey = await deriveWrappingKey(
+      deviceKey.privateKey,
+      publicKey,
+      deviceKey.keyId,
+      keyId
+    );
+    const wrapIv = randomIv();
+    const wrapped = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: wrapIv },
+      wrappingKey,
+      rawMessageKey
+    );
+    keys[keyId] = [toBase64(wrapIv), toBase64(wrapped)];
+  }
+
+  const envelope = {
+    from: deviceKey.keyId,
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+    keys,
+  };
+  return ENVELOPE_PREFIX + btoa(JSON.stringify(envelope));
+};
+
+/**
+ * Decrypts a message sent by encryptText. `senderKeys` are the sender's
+ * published keys; a message from any other key is rejected. Throws if the
+ * message wasn't encrypted for this device or has been tampered with.
+ */
+export const decryptText = async (text, deviceKey, senderKeys) => {
+  const envelope = JSON.parse(atob(text.slice(ENVELOPE_PREFIX.length)));
+
+  const wrapped = envelope.keys?.[deviceKey.keyId];
+  if (!wrapped) throw new Error("Message wasn't encrypted for this device");
+
+  const senderKey = senderKeys.find((k) => k.keyId === envelope.from);
+  if (!senderKey) throw new Error("Message is from an unknown key");
+
+  const wrappingKey = await deriveWrappingKey(
+    deviceKey.privateKey,
+    senderKey.publicKey,
+    envelope.from,
+    deviceKey.keyId
+  );
+  const rawMessageKey = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(wrapped[0]) },
+    wrappingKey,
+    fromBase64(wrapped[1])
+  );
+  const messageKey = await crypto.subtle.importKey(
+    "raw",
+    rawMessageKey,
+    "AES-GCM",
+    false,
+    ["decrypt"]
+  );
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(envelope.iv) },
+    messageKey,
+    fromBase64(envelope.ciphertext)
+  );
+  return decoder.decode(plaintext);
+};
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { decryptText, encryptText, isEncryptedText } from "./e2e";
+
+// A device key pair shaped like loadDeviceKey's, without IndexedDB.
+const createDeviceKey = async (keyId) => {
+  const pair = await crypto.subtle.generateKey(
+    { name: "ECDH", namedCurve: "P-256" },
+    false,
+    ["deriveBits"]
+  );
+  const rawPublicKey = await crypto.subtle.exportKey("raw", pair.publicKey);
+  return {
+    keyId,
+    publicKey: btoa(String.fromCharCode(...new Uint8Array(rawPublicKey))),
+    privateKey: pair.privateKey,
+  };
+};
+
+const published = ({ keyId, publicKey }) => ({ keyId, publicKey });
+
+describe("encryptText and decryptText", () => {
+  it("round-trips a message for the recipient and the sender", async () => {
+    const alice = await createDeviceKey("alice-1");
+    const bob = await createDeviceKey("bob-1");
+
+    const text = await encryptText("hi bob 👋", alice, [
+      published(bob),
+      published(alice),
+    ]);
+
+    expect(isEncryptedText(text)).toBe(true);
+    expect(text).not.toContain("hi bob");
+    await expect(decryptText(text, bob, [published(alice)])).resolves.toBe(
+      "hi bob 👋"
+    );
+    await expect(decryptText(text, alice, [published(alice)])).resolves.toBe(
+      "hi bob 👋"
+    );
+  });
+
+  it("refuses a device the message wasn't encrypted for", async () => {
+    const alice = await createDeviceKey("alice-1");
+    const bob = await createDeviceKey("bob-1");
+    const bobLaptop = await createDeviceKey("bob-2");
+
+    const text = await encryptText("hi", alice, [published(bob)]);
+
+    await expect(
+      decryptText(text, bobLaptop, [published(alice)])
+    ).rejects.toThrow("wasn't encrypted for this device");
+  });
+
+  it("refuses a message from a key the sender hasn't published", async () => {
+    const alice = await createDeviceKey("alice-1");
+    const bob = await createDeviceKey("bob-1");
+    const aliceOtherDevice = await createDeviceKey("alice-2");
+
+    const text = await encryptText("hi", alice, [published(bob)]);
+
+    await expect(
+      decryptText(text, bob, [published(aliceOtherDevice)])
+    ).rejects.toThrow("unknown key");
+  });
+
+  it("refuses a message from another key pair using a known ID", async () => {
+    const mallory = await createDeviceKey("alice-1");
+    const alice = await createDeviceKey("alice-1");
+    const bob = await createDeviceKey("bob-1");
+
+    // Claims alice's key ID, but the wrapped key only opens with mallory's.
+    const text = await encryptText("hi", mallory, [published(bob)]);
+
+    await expect(decryptText(text, bob, [published(alice)])).rejects.toThrow();
+  });
+});
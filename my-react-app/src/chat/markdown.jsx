@@ -0,0 +1,171 @@
+// Message rendering: the Markdown subset messages may use, @mentions of known
+// users, and code blocks with a copy button. See markdownText.js for the same
+// text without markup.
+
+import { memo, useMemo, useState } from "react";
+import { Check, Copy } from "lucide-react";
+import Markdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import rehypeHighlight from "rehype-highlight";
+
+// Markdown is limited to inline formatting, lists, quotes, links and code.
+// Raw HTML in a message is never rendered (react-markdown escapes it) and
+// links with unsafe protocols such as javascript: are dropped by its default
+// URL transform. Other elements (headings, tables, images) are reduced to their
+// text. `span` is only produced by the syntax highlighter and the mentions
+// plugin.
+const MARKDOWN_ELEMENTS = [
+  "p",
+  "br",
+  "strong",
+  "em",
+  "del",
+  "ul",
+  "ol",
+  "li",
+  "blockquote",
+  "a",
+  "code",
+  "pre",
+  "span",
+];
+const REMARK_PLUGINS = [remarkGfm];
+
+// Same rules as the server: "@name" not preceded by a word character, with a
+// trailing "." read as punctuation.
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.-]{2,32})/g;
+
+// Rehype plugin that wraps @mentions of known users in
+// <span class="mention">, leaving code and links alone. `usernames` holds
+// lower-cased names.
+const rehypeMentions =
+  ({ usernames, self }) =>
+  (tree) => {
+    const splitMentions = (value) => {
+      const nodes = [];
+      let last = 0;
+      for (const match of value.matchAll(MENTION_PATTERN)) {
+        const name = match[2].replace(/\.+$/, "");
+        if (!usernames.has(name.toLowerCase())) continue;
+
+        const start = match.index + match[1].length;
+        if (start > last) {
+          nodes.push({ type: "text", value: value.slice(last, start) });
+        }
+        nodes.push({
+          type: "element",
+          tagName: "span",
+          properties: {
+            className:
+              name.toLowerCase() === self.toLowerCase()
+                ? ["mention", "mention-self"]
+                : ["mention"],
+          },
+          children: [{ type: "text", value: `@${name}` }],
+        });
+        last = start + name.length + 1;
+      }
+      if (last === 0) return [{ type: "text", value }];
+      if (last < value.length) {
+        nodes.push({ type: "text", value: value.slice(last) });
+      }
+      return nodes;
+    };
+
+    const walk = (node) => {
+      if (!node.children || ["code", "pre", "a"].includes(node.tagName)) {
+        return;
+      }
+      node.children = node.children.flatMap((child) => {
+        if (child.type === "text") return splitMentions(child.value);
+        walk(child);
+        return [child];
+      });
+    };
+
+    walk(tree);
+  };
+
+const hastToText = (node) =>
+  node.type === "text"
+    ? node.value
+    : (node.children || []).map(hastToText).join("");
+
+// Fenced code block with a button that copies its source.
+const CodeBlock = ({ node, children }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(hastToText(node).replace(/\n$/, ""));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Failed to copy code:", err);
+    }
+  };
+
+  return (
+    <div className="markdown-code-block" style={{ position: "relative" }}>
+      <button
+        onClick={handleCopy}
+        title={copied ? "Copied" : "Copy code"}
+        style={{
+          position: "absolute",
+          top: "6px",
+          right: "6px",
+          padding: "4px",
+          background: "rgba(255,255,255,0.1)",
+          border: "none",
+          borderRadius: "4px",
+          color: "#e5e7eb",
+          cursor: "pointer",
+          display: "flex",
+        }}
+      >
+        {copied ? <Check size={14} /> : <Copy size={14} />}
+      </button>
+      <pre>{children}</pre>
+    </div>
+  );
+};
+
+const MarkdownLink = ({ href, children }) => (
+  <a href={href} target="_blank" rel="noopener noreferrer">
+    {children}
+  </a>
+);
+
+const MARKDOWN_COMPONENTS = { pre: CodeBlock, a: MarkdownLink };
+
+// `mentionables` is the set of lower-cased usernames highlighted as mentions;
+// mentions of `username` get their own colour. Highlighting detects the
+// language of every code block, so a message only renders again when one of
+// its props changes; keep `mentionables` the same Set while the names are.
+export const MessageMarkdown = memo(
+  ({ text, isOwn, mentionables, username }) => {
+    const rehypePlugins = useMemo(
+      () => [
+        [rehypeHighlight, { detect: true }],
+        [rehypeMentions, { usernames: mentionables, self: username }],
+      ],
+      [mentionables, username]
+    );
+
+    return (
+      <div
+        className={`message-markdown${isOwn ? " message-markdown-own" : ""}`}
+      >
+        <Markdown
+          remarkPlugins={REMARK_PLUGINS}
+          rehypePlugins={rehypePlugins}
+          allowedElements={MARKDOWN_ELEMENTS}
+          unwrapDisallowed
+          components={MARKDOWN_COMPONENTS}
+        >
+          {text}
+        </Markdown>
+      </div>
+    );
+  }
+);
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { toPlainText } from "./markdownText";
+
+describe("toPlainText", () => {
+  it.each([
+    ["**bold** and __bold__", "bold and bold"],
+    ["*em* and _em_", "em and em"],
+    ["~~gone~~", "gone"],
+    ["run `npm test` now", "run npm test now"],
+    ["```js\nconst a = 1;\n```", "const a = 1;"],
+    ["see [the docs](https://example.test/a_(b))", "see the docs"],
+    ["![logo](logo.png)", "logo"],
+    ["# Title\n> quoted\n- item\n1. first", "Title\nquoted\nitem\nfirst"],
+  ])("reduces %j to %j", (markdown, text) => {
+    expect(toPlainText(markdown)).toBe(text);
+  });
+
+  it("leaves underscores and asterisks inside words alone", () => {
+    expect(toPlainText("snake_case_name and 2*3*4")).toBe(
+      "snake_case_name and 2*3*4"
+    );
+  });
+
+  it("keeps @mentions and plain text as they are", () => {
+    expect(toPlainText("  hi @bob, lunch?  ")).toBe("hi @bob, lunch?");
+  });
+});
@@ -0,0 +1,77 @@
+// Keeps the recent messages of the conversations a user opens in IndexedDB,
+// so the last one can be shown read-only when the app starts without a
+// network. A conversation is a room name, or "@user" for a DM thread.
+
+const DB_NAME = "signalr-chat";
+const DB_VERSION = 1;
+const STORE = "conversations";
+
+export const CACHED_MESSAGE_COUNT = 50;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, {
+        keyPath: "key",
+      });
+      store.createIndex("username", "username");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+// Runs `operation` on the store in one transaction and resolves with the
+// result of the request it returns, once the transaction has completed.
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/** Replaces the cached copy of a conversation with its latest messages. */
+export const saveConversation = (username, conversation, messages) =>
+  withStore("readwrite", (store) =>
+    store.put({
+      key: `${username}\n${conversation}`,
+      username,
+      conversation,
+      messages: messages.slice(-CACHED_MESSAGE_COUNT),
+      savedAt: Date.now(),
+    })
+  );
+
+/**
+ * The conversation the user had open most recently.
+ *
+ * @returns {Promise<{ conversation: string, messages: Object[],
+ *   savedAt: number } | null>}
+ */
+export const loadLastConversation = async (username) => {
+  const cached = await withStore("readonly", (store) =>
+    store.index("username").getAll(username)
+  );
+  return (cached || []).reduce(
+    (latest, entry) =>
+      !latest || entry.savedAt > latest.savedAt ? entry : latest,
+    null
+  );
+};
+
+/** Forgets everything cached for a user, e.g. on logout. */
+export const clearConversations = (username) =>
+  withStore("readwrite", (store) =>
+    store.delete(IDBKeyRange.bound(`${username}\n`, `${username}\n\uffff`))
+  );
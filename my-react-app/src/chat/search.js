@@ -0,0 +1,73 @@
+// Message search: the filters from the header search box, the request to the
+// server's search endpoint for rooms, and the same search over DM threads,
+// which only live in the browser.
+import { config } from "../config";
+
+export const SEARCH_CONTEXT_SIZE = 2;
+// Dates are "yyyy-mm-dd" from the date inputs and cover whole local days.
+export const EMPTY_SEARCH = { text: "", sender: "", since: "", until: "" };
+
+export const toSearchTerms = (text) => text.trim().split(/\s+/).filter(Boolean);
+
+export const hasSearchFilters = (filters) =>
+  Boolean(
+    filters.text.trim() ||
+      filters.sender.trim() ||
+      filters.since ||
+      filters.until
+  );
+
+const searchDateRange = (filters) => ({
+  since: filters.since ? new Date(`${filters.since}T00:00:00`) : null,
+  until: filters.until ? new Date(`${filters.until}T23:59:59.999`) : null,
+});
+
+// Searches a room's history on the server, newest match first. Each result is
+// { message, before, after } with the surrounding messages as context, as the
+// server sends them. Only members of the room may search it; for anyone else
+// this throws the server's refusal.
+export const searchRoomMessages = async (room, filters, token, signal) => {
+  const params = new URLSearchParams({ room, context: SEARCH_CONTEXT_SIZE });
+  const { since, until } = searchDateRange(filters);
+  if (filters.text.trim()) params.set("q", filters.text.trim());
+  if (filters.sender.trim()) params.set("from", filters.sender.trim());
+  if (since) params.set("since", since.toISOString());
+  if (until) params.set("until", until.toISOString());
+
+  const response = await fetch(`${config.apiBaseUrl}/api/search?${params}`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal,
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `Search failed with ${response.status}`);
+  }
+  return body;
+};
+
+// DM threads aren't stored on the server, so they are searched in memory with
+// the same rules as the search endpoint.
+export const searchLoadedMessages = (list, filters) => {
+  const terms = toSearchTerms(filters.text).map((t) => t.toLowerCase());
+  const sender = filters.sender.trim().toLowerCase();
+  const { since, until } = searchDateRange(filters);
+  const candidates = list.filter((m) => !m.isSystem && !m.isDeleted);
+
+  const results = [];
+  candidates.forEach((msg, i) => {
+    const text = msg.text.toLowerCase();
+    if (
+      (!sender || msg.user.toLowerCase() === sender) &&
+      (!since || msg.sentAt >= since.getTime()) &&
+      (!until || msg.sentAt <= until.getTime()) &&
+      terms.every((t) => text.includes(t))
+    ) {
+      results.push({
+        message: msg,
+        before: candidates.slice(Math.max(0, i - SEARCH_CONTEXT_SIZE), i),
+        after: candidates.slice(i + 1, i + 1 + SEARCH_CONTEXT_SIZE),
+      });
+    }
+  });
+  return results.reverse();
+};
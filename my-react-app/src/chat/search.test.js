@@ -0,0 +1,188 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { config } from "../config";
+import {
+  EMPTY_SEARCH,
+  hasSearchFilters,
+  searchLoadedMessages,
+  searchRoomMessages,
+} from "./search";
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+describe("searchRoomMessages", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn(async () => jsonResponse(200, []));
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const requestedUrl = () => new URL(fetchMock.mock.calls[0][0]);
+
+  it("sends the room, filters and context with the token", async () => {
+    const signal = new AbortController().signal;
+    await searchRoomMessages(
+      "general",
+      { text: "  lunch plans ", sender: " bob ", since: "", until: "" },
+      "token",
+      signal
+    );
+
+    const url = requestedUrl();
+    expect(`${url.origin}${url.pathname}`).toBe(
+      `${config.apiBaseUrl}/api/search`
+    );
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      room: "general",
+      context: "2",
+      q: "lunch plans",
+      from: "bob",
+    });
+    expect(fetchMock.mock.calls[0][1]).toEqual({
+      headers: { Authorization: "Bearer token" },
+      signal,
+    });
+  });
+
+  it("sends a date range covering whole local days", async () => {
+    await searchRoomMessages(
+      "general",
+      { ...EMPTY_SEARCH, since: "2024-03-01", until: "2024-03-02" },
+      "token"
+    );
+
+    const params = requestedUrl().searchParams;
+    expect(params.has("q")).toBe(false);
+    expect(params.has("from")).toBe(false);
+    expect(params.get("since")).toBe(
+      new Date(2024, 2, 1, 0, 0, 0, 0).toISOString()
+    );
+    expect(params.get("until")).toBe(
+      new Date(2024, 2, 2, 23, 59, 59, 999).toISOString()
+    );
+  });
+
+  it("returns the server's results as they are", async () => {
+    const results = [
+      {
+        message: { messageId: "m2", fromUser: "bob", message: "lunch?" },
+        before: [{ messageId: "m1", fromUser: "ann", message: "hi" }],
+        after: [],
+      },
+    ];
+    fetchMock.mockResolvedValue(jsonResponse(200, results));
+
+    await expect(
+      searchRoomMessages("general", { ...EMPTY_SEARCH, text: "lunch" }, "t")
+    ).resolves.toEqual(results);
+  });
+
+  it("throws the refusal when the user isn't in the room", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse(403, { error: "Join the room to search its messages" })
+    );
+
+    await expect(
+      searchRoomMessages("secret", { ...EMPTY_SEARCH, text: "plans" }, "t")
+    ).rejects.toThrow("Join the room to search its messages");
+    expect(requestedUrl().searchParams.get("room")).toBe("secret");
+  });
+
+  it("reports the status when the error has no message", async () => {
+    fetchMock.mockResolvedValue({
+      ok: false,
+      status: 500,
+      json: async () => {
+        throw new SyntaxError("Unexpected end of JSON input");
+      },
+    });
+
+    await expect(
+      searchRoomMessages("general", { ...EMPTY_SEARCH, text: "x" }, "t")
+    ).rejects.toThrow("Search failed with 500");
+  });
+});
+
+describe("searchLoadedMessages", () => {
+  const at = (day, hour) => new Date(2024, 2, day, hour).getTime();
+  const thread = [
+    { id: "1", user: "ann", text: "Lunch today?", sentAt: at(1, 9) },
+    {
+      id: "2",
+      user: "system",
+      text: "bob joined",
+      sentAt: at(1, 10),
+      isSystem: true,
+    },
+    { id: "3", user: "bob", text: "sure, lunch at noon", sentAt: at(1, 11) },
+    {
+      id: "4",
+      user: "ann",
+      text: "deleted lunch",
+      sentAt: at(1, 12),
+      isDeleted: true,
+    },
+    { id: "5", user: "ann", text: "great", sentAt: at(2, 9) },
+    { id: "6", user: "Bob", text: "LUNCH again tomorrow", sentAt: at(3, 9) },
+  ];
+  const ids = (list) => list.map((msg) => msg.id);
+
+  it("matches every term case-insensitively, newest first", () => {
+    const results = searchLoadedMessages(thread, {
+      ...EMPTY_SEARCH,
+      text: "lunch",
+    });
+
+    expect(results.map((r) => r.message.id)).toEqual(["6", "3", "1"]);
+  });
+
+  it("skips system and deleted messages, also as context", () => {
+    const [result] = searchLoadedMessages(thread, {
+      ...EMPTY_SEARCH,
+      text: "noon lunch",
+    });
+
+    expect(result.message.id).toBe("3");
+    expect(ids(result.before)).toEqual(["1"]);
+    expect(ids(result.after)).toEqual(["5", "6"]);
+  });
+
+  it("filters by sender regardless of case", () => {
+    const results = searchLoadedMessages(thread, {
+      ...EMPTY_SEARCH,
+      sender: " bob ",
+    });
+
+    expect(results.map((r) => r.message.id)).toEqual(["6", "3"]);
+  });
+
+  it("keeps only messages within the date range", () => {
+    const results = searchLoadedMessages(thread, {
+      ...EMPTY_SEARCH,
+      since: "2024-03-02",
+      until: "2024-03-02",
+    });
+
+    expect(results.map((r) => r.message.id)).toEqual(["5"]);
+  });
+});
+
+describe("hasSearchFilters", () => {
+  it.each([
+    [EMPTY_SEARCH, false],
+    [{ ...EMPTY_SEARCH, text: "   " }, false],
+    [{ ...EMPTY_SEARCH, text: "hi" }, true],
+    [{ ...EMPTY_SEARCH, sender: "bob" }, true],
+    [{ ...EMPTY_SEARCH, until: "2024-03-01" }, true],
+  ])("reports %j as %j", (filters, expected) => {
+    expect(hasSearchFilters(filters)).toBe(expected);
+  });
+});
@@ -0,0 +1,61 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { ChatClient, CHAT_EVENTS } from "./ChatClient";
+
+/**
+ * Owns a ChatClient for a component. `handlers` maps event names to
+ * callbacks `(payload, client) => void`; the latest handlers are always used,
+ * so they can read current state without re-subscribing.
+ *
+ * Returns the connected client (null until connected), the connection
+ * status, and connect/disconnect functions.
+ */
+export const useChat = (handlers) => {
+  const [client, setClient] = useState(null);
+  const [status, setStatus] = useState("disconnected");
+  const clientRef = useRef(null);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  // Builds a new client, subscribes the handlers and starts it. Rejects if
+  // the connection can't be started.
+  const connect = useCallback(async (options) => {
+    const chatClient = new ChatClient(options);
+
+    CHAT_EVENTS.forEach((event) => {
+      chatClient.on(event, (payload) => {
+        if (event === "status") setStatus(payload.status);
+        handlersRef.current[event]?.(payload, chatClient);
+      });
+    });
+
+    clientRef.current = chatClient;
+    try {
+      await chatClient.start();
+    } catch (err) {
+      clientRef.current = null;
+      throw err;
+    }
+    setClient(chatClient);
+    return chatClient;
+  }, []);
+
+  const disconnect = useCallback(async () => {
+    const chatClient = clientRef.current;
+    clientRef.current = null;
+    setClient(null);
+    setStatus("disconnected");
+    if (chatClient) await chatClient.stop();
+  }, []);
+
+  useEffect(
+    () => () => {
+      clientRef.current?.stop();
+    },
+    []
+  );
+
+  return { client, status, connect, disconnect };
+};
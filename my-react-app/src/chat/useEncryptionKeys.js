@@ -0,0 +1,134 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  isE2ESupported,
+  loadDeviceKey,
+  fingerprintOf,
+  encryptText,
+  decryptText,
+} from "./e2e";
+
+/**
+ * Key handling for end-to-end encrypted DMs. Publishes this browser's key on
+ * every connect, since the server's key directory doesn't survive a restart,
+ * keeps other users' published keys until they change, and loads the
+ * fingerprints of `partner`'s keys for the encryption panel.
+ *
+ * Returns this device's fingerprint, the partner's keys with their
+ * fingerprints (null while loading), functions to encrypt and decrypt DM
+ * text, and functions to drop one user's cached keys or all of them.
+ */
+export const useEncryptionKeys = (client, status, username, partner) => {
+  const [ownFingerprint, setOwnFingerprint] = useState(null);
+  const [partnerKeyInfo, setPartnerKeyInfo] = useState(null);
+  const [publicKeysRevision, setPublicKeysRevision] = useState(0);
+  const publicKeysRef = useRef({});
+
+  // A user's published encryption keys, fetched once until they change.
+  const getPublicKeys = useCallback((chatClient, user) => {
+    publicKeysRef.current[user] ??= chatClient
+      .getPublicKeys(user)
+      .catch((err) => {
+        delete publicKeysRef.current[user];
+        throw err;
+      });
+    return publicKeysRef.current[user];
+  }, []);
+
+  // Encrypts a DM for every device of the partner and of the sender, so the
+  // sender's other tabs and browsers can read it too. Never falls back to
+  // plain text: throws if the partner has no keys.
+  const encryptDirectText = useCallback(
+    async (chatClient, user, toUser, text) => {
+      const [deviceKey, partnerKeys, ownKeys] = await Promise.all([
+        loadDeviceKey(user),
+        getPublicKeys(chatClient, toUser),
+        getPublicKeys(chatClient, user),
+      ]);
+      if (partnerKeys.length === 0) {
+        throw new Error(`${toUser} has no encryption keys`);
+      }
+      return encryptText(text, deviceKey, [
+        ...partnerKeys,
+        ...ownKeys.filter((k) => k.keyId !== deviceKey.keyId),
+        deviceKey,
+      ]);
+    },
+    [getPublicKeys]
+  );
+
+  // Returns null if the message can't be decrypted on this device. Retries
+  // once with freshly fetched keys, in case the sender's key is new.
+  const decryptDirectText = useCallback(
+    async (chatClient, fromUser, text) => {
+      for (const isRetry of [false, true]) {
+        try {
+          const [deviceKey, senderKeys] = await Promise.all([
+            loadDeviceKey(username),
+            getPublicKeys(chatClient, fromUser),
+          ]);
+          return await decryptText(text, deviceKey, senderKeys);
+        } catch (err) {
+          delete publicKeysRef.current[fromUser];
+          if (isRetry) {
+            console.error(`Failed to decrypt message from ${fromUser}:`, err);
+          }
+        }
+      }
+      return null;
+    },
+    [getPublicKeys, username]
+  );
+
+  // The user published a new key: fetch theirs again when next needed.
+  const forgetPublicKeys = useCallback((user) => {
+    delete publicKeysRef.current[user];
+    setPublicKeysRevision((revision) => revision + 1);
+  }, []);
+
+  const resetEncryptionKeys = useCallback(() => {
+    setOwnFingerprint(null);
+    publicKeysRef.current = {};
+  }, []);
+
+  useEffect(() => {
+    if (!client || status !== "connected" || !isE2ESupported()) return;
+    loadDeviceKey(username)
+      .then(async (deviceKey) => {
+        setOwnFingerprint(await fingerprintOf(deviceKey.publicKey));
+        await client.publishPublicKey(deviceKey.publicKey);
+      })
+      .catch((err) => console.error("Failed to publish encryption key:", err));
+  }, [client, status, username]);
+
+  useEffect(() => {
+    setPartnerKeyInfo(null);
+    if (!client || !partner) return;
+
+    let isCurrent = true;
+    getPublicKeys(client, partner)
+      .then((keys) =>
+        Promise.all(
+          keys.map(async (key) => ({
+            ...key,
+            fingerprint: await fingerprintOf(key.publicKey),
+          }))
+        )
+      )
+      .then((keys) => {
+        if (isCurrent) setPartnerKeyInfo({ user: partner, keys });
+      })
+      .catch((err) => console.error("Failed to load encryption keys:", err));
+    return () => {
+      isCurrent = false;
+    };
+  }, [client, partner, getPublicKeys, publicKeysRevision]);
+
+  return {
+    ownFingerprint,
+    partnerKeys: partnerKeyInfo?.user === partner ? partnerKeyInfo.keys : null,
+    encryptDirectText,
+    decryptDirectText,
+    forgetPublicKeys,
+    resetEncryptionKeys,
+  };
+};
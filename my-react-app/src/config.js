@@ -0,0 +1,54 @@
+// Client settings. Build-time values come from Vite environment variables
+// (see .env.example); a `config.json` served next to index.html overrides
+// them at runtime, so one build can be pointed at dev, staging or prod.
+
+const env = import.meta.env;
+
+const apiBaseUrl = (env.VITE_API_BASE_URL || "https://localhost:7245").replace(
+  /\/+$/,
+  ""
+);
+
+const numberOr = (value, fallback) =>
+  value === undefined || value === "" || isNaN(Number(value))
+    ? fallback
+    : Number(value);
+
+export const config = {
+  apiBaseUrl,
+  hubUrl: env.VITE_HUB_URL || `${apiBaseUrl}/chatHub`,
+  // One of SignalR's log level names: trace, debug, information, warning,
+  // error, critical or none.
+  logLevel: env.VITE_LOG_LEVEL || "information",
+  reconnect: {
+    initialDelayMs: numberOr(env.VITE_RECONNECT_INITIAL_DELAY_MS, 1000),
+    maxDelayMs: numberOr(env.VITE_RECONNECT_MAX_DELAY_MS, 30000),
+    // Stop retrying once reconnecting has taken this long.
+    maxElapsedMs: numberOr(env.VITE_RECONNECT_MAX_ELAPSED_MS, 60000),
+  },
+};
+
+// Merges /config.json into `config`. A missing or invalid file is ignored and
+// the build-time settings are used. Call once before rendering.
+export const loadRuntimeConfig = async () => {
+  try {
+    const response = await fetch(`${env.BASE_URL}config.json`, {
+      cache: "no-store",
+    });
+    if (!response.ok) return;
+
+    const runtime = await response.json();
+
+    if (runtime.apiBaseUrl) {
+      config.apiBaseUrl = runtime.apiBaseUrl.replace(/\/+$/, "");
+      if (!runtime.hubUrl) config.hubUrl = `${config.apiBaseUrl}/chatHub`;
+    }
+    if (runtime.hubUrl) config.hubUrl = runtime.hubUrl;
+    if (runtime.logLevel) config.logLevel = runtime.logLevel;
+    if (runtime.reconnect) {
+      config.reconnect = { ...config.reconnect, ...runtime.reconnect };
+    }
+  } catch {
+    // No config.json (the dev server answers with index.html): keep defaults.
+  }
+};
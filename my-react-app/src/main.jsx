@@ -1,10 +1,20 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { loadRuntimeConfig } from './config.js'
+import { registerServiceWorker } from './push.js'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
\ No newline at end of file
+if ('serviceWorker' in navigator) {
+  registerServiceWorker().catch((err) =>
+    console.error('Service worker registration failed:', err),
+  )
+}
+
+loadRuntimeConfig().then(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>,
+  )
+})
@@ -0,0 +1,62 @@
+// The service worker in public/sw.js keeps the app shell for offline starts and
+// shows the Web Push notifications the server sends while no chat tab is
+// connected. Subscribing to push needs the server's VAPID key.
+
+import { config } from "./config.js";
+
+export const isPushSupported = () =>
+  "serviceWorker" in navigator && "PushManager" in window;
+
+export const registerServiceWorker = () =>
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+
+// VAPID keys are base64url; PushManager wants the raw bytes.
+const base64UrlToBytes = (base64Url) => {
+  const base64 = (base64Url + "=".repeat((4 - (base64Url.length % 4)) % 4))
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+};
+
+const sameKey = (buffer, bytes) =>
+  buffer &&
+  buffer.byteLength === bytes.length &&
+  new Uint8Array(buffer).every((b, i) => b === bytes[i]);
+
+const requestVapidPublicKey = async (token) => {
+  const response = await fetch(
+    `${config.apiBaseUrl}/api/notifications/vapid-public-key`,
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  if (!response.ok) {
+    throw new Error(`VAPID key request failed with ${response.status}`);
+  }
+  return (await response.json()).publicKey;
+};
+
+/**
+ * Subscribes this browser to Web Push, reusing an existing subscription made
+ * with the same server key. Notification permission must already be granted.
+ *
+ * @returns {Promise<{ endpoint: string, p256dh: string, auth: string }>}
+ */
+export const subscribeToPush = async (token) => {
+  const key = base64UrlToBytes(await requestVapidPublicKey(token));
+  const registration = await navigator.serviceWorker.ready;
+
+  let subscription = await registration.pushManager.getSubscription();
+  if (
+    subscription &&
+    !sameKey(subscription.options.applicationServerKey, key)
+  ) {
+    await subscription.unsubscribe();
+    subscription = null;
+  }
+  subscription ??= await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: key,
+  });
+
+  const { endpoint, keys } = subscription.toJSON();
+  return { endpoint, p256dh: keys.p256dh, auth: keys.auth };
+};